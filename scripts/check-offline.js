@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * Offline end-to-end check: starts the CMS in a throwaway workspace with
+ * LLM_PROVIDER=fake and every publisher mocked, then repurposes one idea into a
+ * Bluesky draft, queues it and publishes it. Nothing leaves the machine and the
+ * real content/ and mission-control/ data are never touched.
+ *
+ * Run: npm run check:offline                (port 4020, or CHECK_OFFLINE_PORT)
+ *
+ * The workspace is a temp directory whose cms/ links to every entry of this
+ * directory except .env, so real credentials are never loaded. It is deleted
+ * after a passing run and kept (with server.log) after a failing one; set
+ * CHECK_OFFLINE_KEEP=1 to keep it either way.
+ */
+
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const CMS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = Number(process.env.CHECK_OFFLINE_PORT || 4020);
+const BASE_URL = `http://localhost:${PORT}`;
+const STARTUP_TIMEOUT_MS = 90000;
+const REQUEST_TIMEOUT_MS = 30000;
+const PHILOSOPHER = 'nietzsche';
+
+// What the fake provider answers for the repurpose feature (mission-control/llm-fixtures/repurpose.txt)
+const REPURPOSE_FIXTURE = {
+  bluesky: { content: 'The tension you avoid is the one that shapes you. (offline check)' }
+};
+
+function createWorkspace() {
+  const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'cms-offline-'));
+  const cms = path.join(workspace, 'cms');
+  fs.mkdirSync(cms);
+  for (const name of fs.readdirSync(CMS_DIR)) {
+    if (name === '.env') continue;
+    fs.symlinkSync(path.join(CMS_DIR, name), path.join(cms, name));
+  }
+  // /api/repurpose only accepts philosophers that have a directory
+  fs.mkdirSync(path.join(workspace, 'philosophers', PHILOSOPHER), { recursive: true });
+  const fixtures = path.join(workspace, 'mission-control', 'llm-fixtures');
+  fs.mkdirSync(fixtures, { recursive: true });
+  fs.writeFileSync(path.join(fixtures, 'repurpose.txt'), JSON.stringify(REPURPOSE_FIXTURE));
+  return workspace;
+}
+
+function startServer(workspace) {
+  const log = fs.openSync(path.join(workspace, 'server.log'), 'w');
+  // A minimal environment: no API keys or bot tokens from the caller's shell
+  const env = {
+    PATH: process.env.PATH,
+    HOME: process.env.HOME,
+    PORT: String(PORT),
+    JWT_SECRET: crypto.randomBytes(32).toString('hex'),
+    LLM_PROVIDER: 'fake',
+    CMS_MOCK_PUBLISHERS: '*'
+  };
+  return spawn(process.execPath, ['--preserve-symlinks', '--preserve-symlinks-main', path.join(workspace, 'cms', 'server.js')], {
+    cwd: path.join(workspace, 'cms'),
+    env,
+    stdio: ['ignore', log, log]
+  });
+}
+
+async function request(method, urlPath, body) {
+  const res = await fetch(`${BASE_URL}${urlPath}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(`${method} ${urlPath} → ${res.status}: ${data?.error || 'no error message'}`);
+  return data;
+}
+
+async function waitForServer(server) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) throw new Error(`server exited with code ${server.exitCode}`);
+    try {
+      await request('GET', '/api/health');
+      return;
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+  throw new Error(`server did not answer on ${BASE_URL} within ${STARTUP_TIMEOUT_MS / 1000}s`);
+}
+
+function stopServer(server) {
+  if (server.exitCode !== null) return Promise.resolve();
+  return new Promise(resolve => {
+    const force = setTimeout(() => server.kill('SIGKILL'), 5000);
+    server.once('exit', () => {
+      clearTimeout(force);
+      resolve();
+    });
+    server.kill('SIGTERM');
+  });
+}
+
+function step(label, value) {
+  console.log(`  ✓ ${label}${value ? `: ${value}` : ''}`);
+}
+
+async function runChecks() {
+  const repurposed = await request('POST', '/api/repurpose', {
+    rawText: 'Comfort and growth rarely share a room.',
+    platforms: ['bluesky'],
+    philosopher: PHILOSOPHER
+  });
+  const draft = repurposed.drafts?.bluesky;
+  if (draft?.content !== REPURPOSE_FIXTURE.bluesky.content) {
+    throw new Error(`repurpose returned an unexpected Bluesky draft: ${JSON.stringify(draft)}`);
+  }
+  if (repurposed.lineage?.model !== 'fake') {
+    throw new Error(`repurpose was not served by the fake provider (model ${repurposed.lineage?.model})`);
+  }
+  step('repurpose (fake provider)', draft.content);
+
+  const queued = await request('POST', '/api/repurpose/queue', {
+    drafts: [{ platform: 'bluesky', content: draft.content, philosopher: PHILOSOPHER, lineage: repurposed.lineage }]
+  });
+  const item = queued.added?.[0];
+  if (!item) throw new Error('the draft was not added to the posting queue');
+  step('queued', item.id);
+
+  await request('PATCH', '/api/settings/posting-modes', { bluesky: 'auto' });
+  const published = await request('POST', `/api/posting-queue/${item.id}/publish`);
+  if (!published.postUrl?.startsWith('http://localhost/mock/')) {
+    throw new Error(`publish did not go through the mock adapter (postUrl ${published.postUrl})`);
+  }
+  step('publish (mock adapter)', published.postUrl);
+}
+
+async function main() {
+  const keep = process.env.CHECK_OFFLINE_KEEP === '1';
+  const workspace = createWorkspace();
+  console.log(`Offline check — workspace ${workspace}, server on ${BASE_URL}`);
+  const server = startServer(workspace);
+
+  let failed = null;
+  try {
+    await waitForServer(server);
+    step('server started');
+    await runChecks();
+  } catch (error) {
+    failed = error;
+  } finally {
+    await stopServer(server);
+  }
+
+  if (failed) {
+    console.error(`  ✗ ${failed.message}`);
+    console.error(`Server log: ${path.join(workspace, 'server.log')}`);
+    process.exitCode = 1;
+  } else {
+    console.log('Offline check passed');
+  }
+  if (!keep && !failed) fs.rmSync(workspace, { recursive: true, force: true });
+}
+
+main();
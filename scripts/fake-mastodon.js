@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Fake Mastodon API server for local testing
+ * Implements the slice of the Mastodon client API the CMS uses (statuses, media,
+ * search, favourite/reblog/follow, mention notifications) with in-memory state.
+ *
+ * Run: node scripts/fake-mastodon.js            (port 4010, token "fake-token")
+ * Then in cms/.env:
+ *   MASTODON_INSTANCE_URL=http://localhost:4010
+ *   MASTODON_ACCESS_TOKEN=fake-token
+ *
+ * Test helpers (no auth):
+ *   POST /__fake/mention { "acct": "someone@example.social", "text": "...", "replyTo": "<status id>" }
+ *   GET  /__fake/state    everything the CMS has posted, liked, reblogged and followed
+ */
+
+import express from 'express';
+
+const PORT = Number(process.env.FAKE_MASTODON_PORT || 4010);
+const TOKEN = process.env.FAKE_MASTODON_TOKEN || 'fake-token';
+const BASE_URL = `http://localhost:${PORT}`;
+
+const me = {
+  id: '1',
+  username: 'thetensionlines',
+  acct: 'thetensionlines',
+  display_name: 'TensionLines',
+  followers_count: 42,
+  following_count: 7,
+  statuses_count: 0
+};
+
+const state = {
+  statuses: new Map(),
+  notifications: [],
+  favourites: [],
+  reblogs: [],
+  follows: [],
+  media: []
+};
+let nextId = 100;
+
+function makeStatus(account, text, inReplyToId = null) {
+  const id = String(nextId++);
+  const parent = inReplyToId ? state.statuses.get(inReplyToId) : null;
+  const status = {
+    id,
+    uri: `${BASE_URL}/users/${account.username}/statuses/${id}`,
+    url: `${BASE_URL}/@${account.acct}/${id}`,
+    content: `<p>${String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</p>`,
+    created_at: new Date().toISOString(),
+    in_reply_to_id: parent ? parent.id : null,
+    in_reply_to_account_id: parent ? parent.account.id : null,
+    visibility: 'public',
+    media_attachments: [],
+    account
+  };
+  state.statuses.set(id, status);
+  return status;
+}
+
+const app = express();
+app.use(express.json());
+
+// Test helpers — registered before auth so scripts can drive the fake directly
+app.post('/__fake/mention', (req, res) => {
+  const acct = req.body.acct || 'reader@example.social';
+  const account = { id: `acct-${acct}`, username: acct.split('@')[0], acct, display_name: acct.split('@')[0] };
+  const status = makeStatus(account, req.body.text || `@${me.acct} hello`, req.body.replyTo || null);
+  const notification = { id: String(nextId++), type: 'mention', created_at: status.created_at, account, status };
+  state.notifications.unshift(notification);
+  res.json(notification);
+});
+
+app.get('/__fake/state', (req, res) => {
+  res.json({ ...state, statuses: [...state.statuses.values()] });
+});
+
+app.use('/api', (req, res, next) => {
+  if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+    return res.status(401).json({ error: 'The access token is invalid' });
+  }
+  next();
+});
+
+app.get('/api/v1/accounts/verify_credentials', (req, res) => {
+  res.json(me);
+});
+
+app.get('/api/v1/accounts/lookup', (req, res) => {
+  const acct = String(req.query.acct || '');
+  if (!acct) return res.status(404).json({ error: 'Record not found' });
+  res.json({ id: `acct-${acct}`, username: acct.split('@')[0], acct });
+});
+
+app.post('/api/v1/accounts/:id/follow', (req, res) => {
+  state.follows.push(req.params.id);
+  res.json({ id: req.params.id, following: true });
+});
+
+app.post('/api/v2/media', express.raw({ type: 'multipart/form-data', limit: '20mb' }), (req, res) => {
+  const media = { id: String(nextId++), type: 'image', url: `${BASE_URL}/media/${nextId}`, size: req.body?.length || 0 };
+  state.media.push(media);
+  res.json(media);
+});
+
+app.post('/api/v1/statuses', (req, res) => {
+  const { status: text, in_reply_to_id: inReplyToId, media_ids: mediaIds = [] } = req.body || {};
+  if (!text) return res.status(422).json({ error: "Validation failed: Text can't be blank" });
+  if (text.length > 500) return res.status(422).json({ error: 'Validation failed: Text character limit of 500 exceeded' });
+  if (inReplyToId && !state.statuses.has(inReplyToId)) return res.status(404).json({ error: 'Record not found' });
+
+  const status = makeStatus(me, text, inReplyToId);
+  status.media_attachments = state.media.filter(m => mediaIds.includes(m.id));
+  me.statuses_count++;
+  res.json(status);
+});
+
+app.delete('/api/v1/statuses/:id', (req, res) => {
+  const status = state.statuses.get(req.params.id);
+  if (!status || status.account.id !== me.id) return res.status(404).json({ error: 'Record not found' });
+  state.statuses.delete(req.params.id);
+  me.statuses_count--;
+  res.json(status);
+});
+
+app.post('/api/v1/statuses/:id/favourite', (req, res) => {
+  const status = state.statuses.get(req.params.id);
+  if (!status) return res.status(404).json({ error: 'Record not found' });
+  state.favourites.push(status.id);
+  res.json({ ...status, favourited: true });
+});
+
+app.post('/api/v1/statuses/:id/reblog', (req, res) => {
+  const status = state.statuses.get(req.params.id);
+  if (!status) return res.status(404).json({ error: 'Record not found' });
+  state.reblogs.push(status.id);
+  res.json({ ...status, reblogged: true });
+});
+
+app.get('/api/v2/search', (req, res) => {
+  const q = String(req.query.q || '');
+  const statuses = [...state.statuses.values()].filter(s => s.url === q || s.uri === q);
+  res.json({ accounts: [], statuses, hashtags: [] });
+});
+
+app.get('/api/v1/notifications', (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 20, 80);
+  res.json(state.notifications.slice(0, limit));
+});
+
+app.listen(PORT, () => {
+  console.log(`[FakeMastodon] Listening on ${BASE_URL} (token: ${TOKEN})`);
+});
@@ -1,8 +1,8 @@
 import { BrowserRouter as Router, Routes, Route, useLocation } from 'react-router-dom'
-import { Home, Users, ListTodo, Activity, FileText, Lightbulb, BarChart3, Search, Menu, Book, Calendar, Repeat, X, DollarSign, AlertTriangle, Rocket, Target, Bell, Zap, Compass, Send, Reply, Sparkles, MessageSquarePlus, Layers, Heart, Mic, LogOut } from 'lucide-react'
+import { Home, Users, ListTodo, Activity, FileText, Lightbulb, BarChart3, Search, Menu, Book, Calendar, Repeat, X, DollarSign, AlertTriangle, Rocket, Target, Bell, Zap, Compass, Send, Reply, Sparkles, MessageSquarePlus, Layers, Heart, Mic, ScrollText, LogOut } from 'lucide-react'
 import { useState, useEffect } from 'react'
 import { useWebSocket } from './lib/useWebSocket'
-import { getAuthStatus, logout } from './lib/api'
+import { getAuthStatus, getCurrentUser, logout } from './lib/api'
 import LoginPage from './components/LoginPage'
 
 // Import navigation components
@@ -38,6 +38,7 @@ import EngagementActions from './components/EngagementActions'
 import AutoPipeline from './components/AutoPipeline'
 import PodcastManagement from './components/PodcastManagement'
 import MissionControlDashboard from './components/MissionControlDashboard'
+import PromptTemplates from './components/PromptTemplates'
 
 // Navigation structure with grouping
 const navGroups = [
@@ -81,6 +82,7 @@ const navGroups = [
       { to: '/repurpose', icon: <Sparkles size={20} />, label: 'Repurpose' },
       { to: '/auto-pipeline', icon: <Zap size={20} />, label: 'Auto-Pipeline' },
       { to: '/podcast', icon: <Mic size={20} />, label: 'Podcast' },
+      { to: '/prompts', icon: <ScrollText size={20} />, label: 'Prompts' },
       { to: '/book', icon: <Book size={20} />, label: 'Book Progress' }
     ]
   },
@@ -112,7 +114,7 @@ function App() {
       // Auth is enabled — check for existing token
       const token = localStorage.getItem('cms_token')
       if (token) {
-        fetch('/api/health', { headers: { Authorization: `Bearer ${token}` } })
+        fetch('/api/auth/me', { headers: { Authorization: `Bearer ${token}` } })
           .then(r => {
             if (r.ok) setAuthState('authenticated')
             else { localStorage.removeItem('cms_token'); setAuthState('login') }
@@ -243,6 +245,7 @@ function AppContent({ sidebarOpen, setSidebarOpen, mobileMenuOpen, setMobileMenu
             <Route path="/repurpose" element={<RepurposeEngine />} />
             <Route path="/auto-pipeline" element={<AutoPipeline />} />
             <Route path="/podcast" element={<PodcastManagement />} />
+            <Route path="/prompts" element={<PromptTemplates />} />
             <Route path="/reply-queue" element={<ReplyQueue />} />
             <Route path="/comments" element={<CommentQueue />} />
             <Route path="/engagement" element={<EngagementActions />} />
@@ -269,6 +272,12 @@ function AppContent({ sidebarOpen, setSidebarOpen, mobileMenuOpen, setMobileMenu
 // Sidebar Component
 function Sidebar({ location, onClose, showCloseButton = false }) {
   const [queueCounts, setQueueCounts] = useState({})
+  const [currentUser, setCurrentUser] = useState(null)
+
+  useEffect(() => {
+    if (!localStorage.getItem('cms_token')) return
+    getCurrentUser().then(data => setCurrentUser(data.user)).catch(() => {})
+  }, [])
 
   useEffect(() => {
     const fetchCounts = async () => {
@@ -336,6 +345,12 @@ function Sidebar({ location, onClose, showCloseButton = false }) {
 
       {/* Footer */}
       <div className="pt-4 border-t border-neutral-200 mt-auto">
+        {currentUser && localStorage.getItem('cms_token') && (
+          <p className="text-xs text-neutral-600 px-3 mb-1">
+            {currentUser.displayName || currentUser.username}
+            <span className="text-neutral-400"> · {currentUser.role}</span>
+          </p>
+        )}
         {localStorage.getItem('cms_token') && (
           <button
             onClick={logout}
@@ -1,6 +1,6 @@
 import { useState, useMemo, useCallback } from 'react'
 import useSWR from 'swr'
-import { fetcher } from '../lib/api'
+import { fetcher, getCalendarFeed, createCalendarFeed, revokeCalendarFeed, importCalendar } from '../lib/api'
 import {
   ChevronLeft,
   ChevronRight,
@@ -15,7 +15,11 @@ import {
   GripVertical,
   Instagram,
   MessageCircle,
-  AlertTriangle
+  AlertTriangle,
+  RefreshCw,
+  Upload,
+  Copy,
+  Link2
 } from 'lucide-react'
 
 // ── Icons ────────────────────────────────────────────────────────────────────
@@ -123,6 +127,7 @@ export default function ContentCalendar() {
   const [selectedItem, setSelectedItem] = useState(null)
   const [scheduleDate, setScheduleDate] = useState(null) // date string for "Add" modal
   const [dragItem, setDragItem] = useState(null)
+  const [showSync, setShowSync] = useState(false)
 
   // Calculate date range for the API
   const { apiStart, apiEnd, weekStart } = useMemo(() => {
@@ -269,6 +274,7 @@ export default function ContentCalendar() {
         onPrev={goPrev}
         onNext={goNext}
         onToday={goToday}
+        onSync={() => setShowSync(true)}
       />
 
       {isLoading && !data ? (
@@ -320,6 +326,14 @@ export default function ContentCalendar() {
         />
       )}
 
+      {/* Calendar sync modal */}
+      {showSync && (
+        <CalendarSyncModal
+          onClose={() => setShowSync(false)}
+          onImported={() => mutate()}
+        />
+      )}
+
       {/* Schedule modal */}
       {scheduleDate && (
         <SchedulePostModal
@@ -337,7 +351,7 @@ export default function ContentCalendar() {
 
 // ── CalendarHeader ───────────────────────────────────────────────────────────
 
-function CalendarHeader({ dateLabel, viewMode, onViewMode, onPrev, onNext, onToday }) {
+function CalendarHeader({ dateLabel, viewMode, onViewMode, onPrev, onNext, onToday, onSync }) {
   return (
     <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
       <div>
@@ -345,6 +359,13 @@ function CalendarHeader({ dateLabel, viewMode, onViewMode, onPrev, onNext, onTod
         <p className="text-neutral-600 mt-1">Schedule and track your posts</p>
       </div>
       <div className="flex items-center gap-3">
+        <button
+          onClick={onSync}
+          className="flex items-center gap-1.5 px-3 py-1.5 text-sm border border-neutral-300 rounded-lg hover:bg-neutral-50"
+        >
+          <RefreshCw size={14} />
+          Sync
+        </button>
         <button
           onClick={onToday}
           className="px-3 py-1.5 text-sm border border-neutral-300 rounded-lg hover:bg-neutral-50"
@@ -484,6 +505,7 @@ function CalendarItem({ item, onDragStart, onClick }) {
         {getPlatformIcon(item.platform, 12)}
         <span className="font-medium capitalize truncate">{item.platform}</span>
         {isPosted && <CheckCircle size={10} className="text-green-500 ml-auto flex-shrink-0" />}
+        {item.status === 'draft' && <span className="ml-auto text-[10px] text-neutral-400 flex-shrink-0">draft</span>}
       </div>
       <p className="text-neutral-600 line-clamp-2 leading-tight">{contentPreview || 'No content'}</p>
       {(item.scheduledFor || item.postedAt) && (
@@ -904,3 +926,190 @@ function SchedulePostModal({ dateKey, onClose, onAdd }) {
     </div>
   )
 }
+
+// ── CalendarSyncModal ────────────────────────────────────────────────────────
+
+const IMPORT_PLATFORMS = ['bluesky', 'twitter', 'threads', 'mastodon', 'instagram', 'reddit', 'medium', 'substack']
+
+function CalendarSyncModal({ onClose, onImported }) {
+  const { data: feed, mutate: mutateFeed } = useSWR('/api/calendar/feed', fetcher)
+  const [feedUrl, setFeedUrl] = useState(null)
+  const [copied, setCopied] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const [ics, setIcs] = useState(null)
+  const [fileName, setFileName] = useState('')
+  const [platform, setPlatform] = useState('bluesky')
+  const [preview, setPreview] = useState(null)
+  const [result, setResult] = useState(null)
+
+  const run = async (fn) => {
+    setBusy(true)
+    setError(null)
+    try {
+      await fn()
+    } catch (err) {
+      setError(err.message)
+    }
+    setBusy(false)
+  }
+
+  const handleCreateFeed = () => run(async () => {
+    const created = await createCalendarFeed()
+    setFeedUrl(created.url)
+    mutateFeed()
+  })
+
+  const handleRevokeFeed = () => run(async () => {
+    await revokeCalendarFeed()
+    setFeedUrl(null)
+    mutateFeed()
+  })
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(feedUrl)
+    setCopied(true)
+    setTimeout(() => setCopied(false), 2000)
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    setPreview(null)
+    setResult(null)
+    if (!file) return
+    setFileName(file.name)
+    setIcs(await file.text())
+  }
+
+  const calendarName = fileName.replace(/\.ics$/i, '')
+
+  const handlePreview = () => run(async () => {
+    setPreview(await importCalendar(ics, { platform, calendar: calendarName, dryRun: true }))
+  })
+
+  const handleImport = () => run(async () => {
+    setResult(await importCalendar(ics, { platform, calendar: calendarName }))
+    setPreview(null)
+    onImported()
+  })
+
+  const summary = result || preview
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="px-6 py-4 border-b border-neutral-200 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Calendar Sync</h2>
+          <button onClick={onClose} className="text-neutral-400 hover:text-neutral-600">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {error && (
+            <div className="text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg px-3 py-2">{error}</div>
+          )}
+
+          {/* Subscribe */}
+          <section className="space-y-2">
+            <h3 className="font-medium text-neutral-900 flex items-center gap-2"><Link2 size={16} /> Subscribe</h3>
+            <p className="text-sm text-neutral-500">
+              Scheduled posts, podcast releases and book pipeline runs as a private ICS feed for Google Calendar, Apple Calendar or Outlook.
+            </p>
+            {feedUrl ? (
+              <div className="space-y-1">
+                <div className="flex gap-2">
+                  <input readOnly value={feedUrl} className="flex-1 border border-neutral-300 rounded-lg px-3 py-2 text-xs font-mono" onFocus={(e) => e.target.select()} />
+                  <button onClick={handleCopy} className="px-3 py-2 text-sm border border-neutral-300 rounded-lg hover:bg-neutral-50 flex items-center gap-1">
+                    {copied ? <Check size={14} /> : <Copy size={14} />}
+                  </button>
+                </div>
+                <p className="text-xs text-amber-700">Copy this URL now — it won't be shown again. Anyone with it can read the feed.</p>
+              </div>
+            ) : feed?.enabled ? (
+              <p className="text-xs text-neutral-500">
+                Feed active since {new Date(feed.createdAt).toLocaleDateString()}
+                {feed.lastUsedAt ? `, last fetched ${new Date(feed.lastUsedAt).toLocaleString()}` : ', not fetched yet'}.
+              </p>
+            ) : null}
+            <div className="flex gap-2">
+              <button
+                onClick={handleCreateFeed}
+                disabled={busy}
+                className="px-3 py-1.5 text-sm bg-gold text-white rounded-lg hover:bg-amber-600 disabled:opacity-50"
+              >
+                {feed?.enabled ? 'Regenerate URL' : 'Create feed URL'}
+              </button>
+              {feed?.enabled && (
+                <button
+                  onClick={handleRevokeFeed}
+                  disabled={busy}
+                  className="px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+                >
+                  Revoke
+                </button>
+              )}
+            </div>
+          </section>
+
+          {/* Import */}
+          <section className="space-y-3 border-t border-neutral-100 pt-6">
+            <h3 className="font-medium text-neutral-900 flex items-center gap-2"><Upload size={16} /> Import planning calendar</h3>
+            <p className="text-sm text-neutral-500">
+              Each event becomes a draft on its date. Events tagged with a platform category use that platform; the rest use the one below. Re-importing updates drafts instead of duplicating them.
+            </p>
+            <input type="file" accept=".ics,text/calendar" onChange={handleFile} className="text-sm" />
+            <div className="flex items-center gap-2">
+              <label className="text-sm text-neutral-700">Default platform</label>
+              <select
+                value={platform}
+                onChange={(e) => { setPlatform(e.target.value); setPreview(null) }}
+                className="border border-neutral-300 rounded-lg px-2 py-1 text-sm capitalize"
+              >
+                {IMPORT_PLATFORMS.map(p => <option key={p} value={p}>{p}</option>)}
+              </select>
+            </div>
+
+            {summary && (
+              <div className="text-sm bg-neutral-50 rounded-lg p-3 space-y-1">
+                <p className="font-medium">
+                  {result ? 'Imported' : 'Preview'}: {summary.created.length} new, {summary.updated.length} updated, {summary.skipped.length} skipped
+                </p>
+                {[...summary.created, ...summary.updated].slice(0, 8).map(e => (
+                  <p key={e.uid} className="text-xs text-neutral-600">
+                    {new Date(e.scheduledFor).toLocaleString()} · <span className="capitalize">{e.platform}</span>
+                    {e.recurring && ' · recurring (first date only)'}
+                  </p>
+                ))}
+                {summary.skipped.map(e => (
+                  <p key={e.uid} className="text-xs text-neutral-400">Skipped {e.uid}: {e.reason}</p>
+                ))}
+              </div>
+            )}
+
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={handlePreview}
+                disabled={!ics || busy}
+                className="px-3 py-1.5 text-sm border border-neutral-300 rounded-lg hover:bg-neutral-50 disabled:opacity-50"
+              >
+                Preview
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={!ics || busy}
+                className="px-3 py-1.5 text-sm bg-gold text-white rounded-lg hover:bg-amber-600 disabled:opacity-50"
+              >
+                Import as drafts
+              </button>
+            </div>
+          </section>
+        </div>
+      </div>
+    </div>
+  )
+}
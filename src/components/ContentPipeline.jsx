@@ -1,9 +1,9 @@
 import useSWR, { mutate as globalMutate } from 'swr'
 import { useState, useMemo, useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { getIdeas, getDrafts, getIdeaStats } from '../lib/api'
+import { getIdeas, getIdea, getDrafts, getIdeaStats } from '../lib/api'
 import { formatDate, getStatusColor } from '../lib/formatters'
-import { Lightbulb, FileText, TrendingUp, Target, Flame, Calendar, CheckCircle, Clock, AlertTriangle, Search, Filter, Grid, List, ChevronDown, ChevronUp, Tag, X, Rocket, Loader, Send, Zap, Trash2 } from 'lucide-react'
+import { Lightbulb, FileText, TrendingUp, Target, Flame, Calendar, CheckCircle, Clock, AlertTriangle, Search, Filter, Grid, List, ChevronDown, ChevronUp, Tag, X, Rocket, Loader, Send, Zap, Trash2, GitBranch, ExternalLink, Heart, MessageCircle, Share2, Eye } from 'lucide-react'
 
 export default function ContentPipeline() {
   const { data: ideas, mutate: mutateIdeas } = useSWR('/ideas', getIdeas, { refreshInterval: 120000 })
@@ -59,7 +59,7 @@ export default function ContentPipeline() {
 function IdeaCapture({ onCaptured }) {
   const [text, setText] = useState('')
   const [submitting, setSubmitting] = useState(false)
-  const [feedback, setFeedback] = useState(null) // { type: 'success'|'error', message }
+  const [feedback, setFeedback] = useState(null) // { type: 'success'|'warning'|'error', message }
   const inputRef = useRef(null)
 
   const handleSubmit = async (e) => {
@@ -76,10 +76,14 @@ function IdeaCapture({ onCaptured }) {
       })
       const data = await res.json()
       if (res.ok) {
-        setFeedback({ type: 'success', message: `Captured as idea #${data.id}` })
+        const similar = (data.duplicates || [])
+          .map(d => `${d.kind === 'idea' ? `idea #${d.id}` : `a ${d.platform} post`} (${Math.round(d.score * 100)}%)`)
+        setFeedback(similar.length > 0
+          ? { type: 'warning', message: `Captured as idea #${data.id} — looks like ${similar.join(', ')}` }
+          : { type: 'success', message: `Captured as idea #${data.id}` })
         setText('')
         onCaptured()
-        setTimeout(() => setFeedback(null), 3000)
+        setTimeout(() => setFeedback(null), similar.length > 0 ? 8000 : 3000)
       } else {
         setFeedback({ type: 'error', message: data.error || 'Failed to capture' })
       }
@@ -123,7 +127,7 @@ function IdeaCapture({ onCaptured }) {
       </form>
       {feedback && (
         <div className={`mt-2 text-sm flex items-center gap-1.5 ${
-          feedback.type === 'success' ? 'text-green-600' : 'text-red-600'
+          feedback.type === 'success' ? 'text-green-600' : feedback.type === 'warning' ? 'text-amber-600' : 'text-red-600'
         }`}>
           {feedback.type === 'success' ? <CheckCircle size={14} /> : <AlertTriangle size={14} />}
           {feedback.message}
@@ -783,6 +787,7 @@ function IdeasTable({ ideas, sortBy, sortDir, onSort, expandedId, onExpand, onTa
                   <td colSpan={5} className="px-4 py-4 bg-blue-50 border-l-4 border-l-blue-500">
                     <div className="space-y-3">
                       <p className="text-sm text-neutral-800 whitespace-pre-wrap">{idea.text || idea.quote}</p>
+                      <IdeaMedia idea={idea} />
                       {idea.enhanced && (
                         <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 mt-2">
                           <p className="text-xs font-semibold text-amber-700 mb-1">Enhanced Understanding</p>
@@ -1039,6 +1044,7 @@ function IdeaDetailModal({ idea, onClose, onTagClick }) {
           {/* Original Idea */}
           <Section title="Original Idea" icon={<Lightbulb size={18} />}>
             <p className="text-neutral-800 whitespace-pre-wrap">{idea.text || idea.quote}</p>
+            <IdeaMedia idea={idea} />
           </Section>
 
           {/* Tags */}
@@ -1117,6 +1123,9 @@ function IdeaDetailModal({ idea, onClose, onTagClick }) {
             </Section>
           )}
 
+          {/* Lineage: drafts → queue → posted → engagement */}
+          <IdeaLineage ideaId={idea.id} />
+
           {/* Status Detail */}
           {idea.statusDetail && (
             <Section title="Status Notes" icon={<Clock size={18} />} color="neutral">
@@ -1139,6 +1148,109 @@ function IdeaDetailModal({ idea, onClose, onTagClick }) {
   )
 }
 
+const LINEAGE_SOURCE_LABELS = {
+  'repurpose-engine': 'Repurpose Engine',
+  'auto-pipeline': 'Auto-Pipeline',
+  'fast-track': 'Fast Track',
+  'queue-replenishment': 'Queue Replenishment'
+}
+
+const LINEAGE_STATUS_COLORS = {
+  posted: 'bg-green-100 text-green-700',
+  removed: 'bg-neutral-100 text-neutral-400 line-through',
+  failed: 'bg-red-100 text-red-700'
+}
+
+function IdeaLineage({ ideaId }) {
+  const { data, error } = useSWR(`/ideas/${ideaId}`, () => getIdea(ideaId), { refreshInterval: 60000 })
+  const lineage = data?.lineage
+
+  return (
+    <Section title="Lineage" icon={<GitBranch size={18} />} color="green">
+      {error ? (
+        <p className="text-sm text-red-500">Failed to load lineage</p>
+      ) : !lineage ? (
+        <p className="text-sm text-neutral-400">Loading...</p>
+      ) : lineage.draftSets.length === 0 ? (
+        <p className="text-sm text-neutral-500">No drafts generated from this idea yet.</p>
+      ) : (
+        <div className="space-y-4">
+          <LineageTotals totals={lineage.totals} />
+          {lineage.draftSets.map(set => (
+            <div key={set.draftSetId || set.source} className="bg-white rounded-lg border border-green-100 p-3">
+              <div className="flex items-center justify-between gap-2 text-sm">
+                <span className="font-medium text-neutral-800">
+                  {LINEAGE_SOURCE_LABELS[set.source] || set.source || 'Unknown source'}
+                  {!set.draftSetId && <span className="ml-2 text-xs font-normal text-neutral-400">(before lineage tracking)</span>}
+                </span>
+                <span className="text-xs text-neutral-400">
+                  {set.generatedAt ? formatDate(set.generatedAt) : ''}
+                  {set.runId && ` • ${set.runId}`}
+                </span>
+              </div>
+              <ul className="mt-2 space-y-1.5 border-l-2 border-green-100 pl-3">
+                {set.items.map(item => (
+                  <li key={item.id} className="flex items-center gap-2 text-sm">
+                    <span className="w-20 capitalize text-neutral-700">{item.platform || '—'}</span>
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${LINEAGE_STATUS_COLORS[item.status] || 'bg-amber-100 text-amber-700'}`}>
+                      {item.status}
+                    </span>
+                    {item.postUrl && (
+                      <a href={item.postUrl} target="_blank" rel="noreferrer" className="text-blue-600 hover:underline flex items-center gap-1 text-xs">
+                        View post <ExternalLink size={10} />
+                      </a>
+                    )}
+                    {item.engagement && <LineageMetrics metrics={item.engagement} className="ml-auto" />}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </Section>
+  )
+}
+
+function LineageTotals({ totals }) {
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-neutral-700">
+      <span>{totals.drafts} draft{totals.drafts === 1 ? '' : 's'}</span>
+      <span>{totals.queued} queued</span>
+      <span>{totals.posted} posted</span>
+      <LineageMetrics metrics={totals} />
+      {totals.engagementRate !== null && <span className="text-green-700 font-medium">{totals.engagementRate}% engagement</span>}
+    </div>
+  )
+}
+
+function LineageMetrics({ metrics, className = '' }) {
+  return (
+    <span className={`flex items-center gap-3 text-xs text-neutral-500 ${className}`}>
+      <span className="flex items-center gap-1"><Heart size={12} />{metrics.likes}</span>
+      <span className="flex items-center gap-1"><MessageCircle size={12} />{metrics.comments}</span>
+      <span className="flex items-center gap-1"><Share2 size={12} />{metrics.shares}</span>
+      <span className="flex items-center gap-1"><Eye size={12} />{metrics.impressions}</span>
+    </span>
+  )
+}
+
+function IdeaMedia({ idea }) {
+  if (!idea.image && !idea.audio) return null
+  return (
+    <div className="mt-3 space-y-2">
+      {idea.image && (
+        <a href={`/api/idea-media/${idea.image}`} target="_blank" rel="noreferrer">
+          <img src={`/api/idea-media/${idea.image}`} alt={idea.text || 'Idea photo'} className="max-h-64 rounded-lg border border-neutral-200" />
+        </a>
+      )}
+      {idea.audio && (
+        <audio controls preload="none" src={`/api/idea-media/${idea.audio}`} className="w-full" />
+      )}
+    </div>
+  )
+}
+
 function Section({ title, icon, color = 'neutral', children }) {
   const colors = {
     neutral: 'bg-neutral-50 border-neutral-200',
@@ -1,10 +1,15 @@
 import { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
-import { DollarSign, TrendingUp, AlertTriangle, CheckCircle, Clock, Zap, Info, GitBranch, ChevronDown, X, ChevronRight } from 'lucide-react'
+import { DollarSign, TrendingUp, AlertTriangle, CheckCircle, Clock, Zap, Info, GitBranch, ChevronDown, X, ChevronRight, Layers, ShieldAlert, Plus, Download, Calendar, Route } from 'lucide-react'
+import { decideApproval, requestBudgetElevation, downloadCostCsv, updateLlmRouting } from '../lib/api'
 
 export default function CostDashboard() {
   const [costs, setCosts] = useState(null)
   const [details, setDetails] = useState(null)
+  const [budget, setBudget] = useState(null)
+  const [history, setHistory] = useState(null)
+  const [routing, setRouting] = useState(null)
+  const [showElevationForm, setShowElevationForm] = useState(false)
   const [loading, setLoading] = useState(true)
   const [showDecisionTree, setShowDecisionTree] = useState(true)
   const [selectedModel, setSelectedModel] = useState(null)
@@ -12,9 +17,14 @@ export default function CostDashboard() {
   useEffect(() => {
     loadCosts()
     loadDetails()
+    loadBudget()
+    loadHistory()
+    loadRouting()
     const interval = setInterval(() => {
       loadCosts()
       loadDetails()
+      loadBudget()
+      loadHistory()
     }, 120000)
     return () => clearInterval(interval)
   }, [])
@@ -41,6 +51,47 @@ export default function CostDashboard() {
     }
   }
 
+  const loadBudget = async () => {
+    try {
+      const response = await fetch('/api/costs/budget')
+      const data = await response.json()
+      setBudget(data)
+    } catch (error) {
+      console.error('Failed to load budget policy:', error)
+    }
+  }
+
+  const loadHistory = async () => {
+    try {
+      const response = await fetch('/api/costs/history')
+      const data = await response.json()
+      setHistory(data)
+    } catch (error) {
+      console.error('Failed to load cost history:', error)
+    }
+  }
+
+  const loadRouting = async () => {
+    try {
+      const response = await fetch('/api/llm/routing')
+      const data = await response.json()
+      setRouting(data)
+    } catch (error) {
+      console.error('Failed to load LLM routing:', error)
+    }
+  }
+
+  const exportCsv = (kind) => {
+    downloadCostCsv(kind).catch(error => console.error(`Failed to export ${kind} CSV:`, error))
+  }
+
+  const refreshElevations = () => {
+    loadCosts()
+    loadBudget()
+  }
+
+  const featureEntries = Object.entries(details?.features || {}).sort((a, b) => b[1].cost - a[1].cost)
+
   if (loading) {
     return (
       <div className="text-center py-12">
@@ -333,6 +384,113 @@ export default function CostDashboard() {
         />
       )}
 
+      {/* Cost by Feature */}
+      <div className="bg-white rounded-lg border border-neutral-200 p-6">
+        <h2 className="text-xl font-serif font-semibold mb-4 flex items-center gap-2">
+          <Layers size={20} className="text-gold" />
+          Cost by Feature
+          <span className="text-sm font-normal text-neutral-500 ml-2">(metered from API usage)</span>
+        </h2>
+
+        {featureEntries.length === 0 ? (
+          <p className="text-neutral-500 text-center py-8">No metered LLM calls today</p>
+        ) : (
+          <div className="space-y-3">
+            {featureEntries.map(([feature, data]) => (
+              <FeatureUsageRow key={feature} feature={feature} data={data} maxCost={featureEntries[0][1].cost} />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* LLM Budget Caps */}
+      {budget && (
+        <div className="bg-white rounded-lg border border-neutral-200 p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-serif font-semibold flex items-center gap-2">
+              <ShieldAlert size={20} className="text-gold" />
+              LLM Budget Caps
+            </h2>
+            <button
+              onClick={() => setShowElevationForm(!showElevationForm)}
+              className="px-3 py-1.5 text-sm rounded-md border border-neutral-200 hover:border-gold flex items-center gap-1"
+            >
+              <Plus size={14} /> Request elevation
+            </button>
+          </div>
+
+          {showElevationForm && (
+            <ElevationForm
+              scopes={['total', ...new Set([...Object.keys(budget.policy.features || {}), ...featureEntries.map(([f]) => f)])]}
+              maxElevation={budget.maxElevation}
+              onDone={() => {
+                setShowElevationForm(false)
+                refreshElevations()
+              }}
+            />
+          )}
+
+          {budget.caps.length === 0 ? (
+            <p className="text-neutral-500 text-center py-8">No budget caps configured</p>
+          ) : (
+            <div className="space-y-3">
+              {budget.caps.map(cap => (
+                <BudgetCapRow key={`${cap.scope}-${cap.period}`} cap={cap} downgradeAt={budget.policy.downgradeAt} />
+              ))}
+            </div>
+          )}
+
+          <p className="mt-4 text-xs text-neutral-500">
+            Calls switch to cheaper models at {Math.round(budget.policy.downgradeAt * 100)}% of a cap. At the cap, non-critical jobs ({budget.policy.nonCriticalCrons.join(', ')}) stop.
+            {budget.blockedCrons.length > 0 && (
+              <span className="text-red-600"> Not running: {budget.blockedCrons.join(', ')}.</span>
+            )}
+          </p>
+        </div>
+      )}
+
+      {/* LLM Routing */}
+      {routing && (
+        <div className="bg-white rounded-lg border border-neutral-200 p-6">
+          <h2 className="text-xl font-serif font-semibold mb-2 flex items-center gap-2">
+            <Route size={20} className="text-gold" />
+            LLM Routing
+          </h2>
+          <p className="text-sm text-neutral-500 mb-4">
+            {routing.providers.map(p => `${p.label}${p.configured ? '' : ' (not configured)'}${p.free ? ' — free' : ''}`).join(' · ')}
+          </p>
+
+          {routing.override && (
+            <p className="mb-4 p-3 rounded-md bg-amber-50 text-amber-800 text-sm">
+              LLM_PROVIDER={routing.override} is set — every feature runs on it and the rules below are ignored.
+            </p>
+          )}
+
+          <div className="space-y-2">
+            <RouteRow
+              feature="default"
+              rule={routing.routing.default}
+              providers={routing.providers}
+              onSave={rule => updateLlmRouting({ default: rule }).then(loadRouting)}
+            />
+            {routing.routes.map(route => (
+              <RouteRow
+                key={route.feature}
+                feature={route.feature}
+                rule={routing.routing.features[route.feature] || null}
+                providers={routing.providers}
+                onSave={rule => updateLlmRouting({ features: { [route.feature]: rule } }).then(loadRouting)}
+              />
+            ))}
+          </div>
+
+          <p className="mt-4 text-xs text-neutral-500">
+            Leave the model empty to keep the model each call asks for (Anthropic) or the provider's default.
+            Anthropic rules also accept {Object.keys(routing.tiers).join(', ')}.
+          </p>
+        </div>
+      )}
+
       {/* Model Reference Guide */}
       <div className="bg-white rounded-lg border border-neutral-200 p-6">
         <h2 className="text-xl font-serif font-semibold mb-4 flex items-center gap-2">
@@ -377,19 +535,19 @@ export default function CostDashboard() {
 
         {costs.elevations.length === 0 ? (
           <p className="text-neutral-500 text-center py-8">
-            No elevation requests. Opus usage requires permission.
+            No elevation requests. Request one when a budget cap blocks work.
           </p>
         ) : (
           <div className="space-y-3">
-            {costs.elevations.map((request) => (
-              <ElevationRequest key={request.id} request={request} />
+            {[...costs.elevations].reverse().map((request) => (
+              <ElevationRequest key={request.id} request={request} onDecided={refreshElevations} />
             ))}
           </div>
         )}
 
         <div className="mt-4 p-4 bg-neutral-50 rounded-md">
           <p className="text-sm text-neutral-700">
-            <strong>Note:</strong> Claude Opus 4 costs 5x more than Sonnet. All Opus requests require explicit approval with justification.
+            <strong>Note:</strong> Elevations also appear in the Mission Control approval queue and on Telegram. An approved elevation raises its cap until the day or month ends.
           </p>
         </div>
       </div>
@@ -416,6 +574,48 @@ export default function CostDashboard() {
           </div>
         </div>
       </div>
+
+      {/* Cost History */}
+      {history && (
+        <div className="bg-white rounded-lg border border-neutral-200 p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-serif font-semibold flex items-center gap-2">
+              <Calendar size={20} className="text-gold" />
+              Cost History
+            </h2>
+            <div className="flex gap-2">
+              <button
+                onClick={() => exportCsv('ledger')}
+                className="px-3 py-1.5 text-sm rounded-md border border-neutral-200 hover:border-gold flex items-center gap-1"
+                title="Every charged call this month"
+              >
+                <Download size={14} /> Ledger CSV
+              </button>
+              <button
+                onClick={() => exportCsv('history')}
+                className="px-3 py-1.5 text-sm rounded-md border border-neutral-200 hover:border-gold flex items-center gap-1"
+                title="Daily totals by feature"
+              >
+                <Download size={14} /> Daily CSV
+              </button>
+            </div>
+          </div>
+
+          <HistoryBars days={history.days.slice(-30)} />
+
+          <div className="mt-4 pt-4 border-t border-neutral-200 space-y-2">
+            {[...history.months].reverse().map(month => (
+              <div key={month.month} className="flex justify-between text-sm">
+                <span className="text-neutral-600">
+                  {new Date(`${month.month}-01T00:00:00Z`).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })}
+                  <span className="text-neutral-400 ml-2">{month.days} day{month.days === 1 ? '' : 's'} · {month.requests} requests</span>
+                </span>
+                <span className="font-semibold text-black">${month.total.toFixed(2)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   )
 }
@@ -476,6 +676,36 @@ function ModelUsageRow({ model, onClick, isSelected }) {
   )
 }
 
+function FeatureUsageRow({ feature, data, maxCost }) {
+  const widthPercent = maxCost > 0 ? (data.cost / maxCost * 100) : 0
+  const tokens = data.inputTokens + data.outputTokens + data.cacheReadTokens + data.cacheWriteTokens
+  const models = Object.entries(data.models).sort((a, b) => b[1].cost - a[1].cost)
+
+  return (
+    <div>
+      <div className="flex justify-between text-sm mb-1">
+        <span className="font-medium text-black">{feature}</span>
+        <span className="text-neutral-600">${data.cost.toFixed(4)}</span>
+      </div>
+      <div className="w-full bg-neutral-200 rounded-full h-2 overflow-hidden">
+        <div
+          className="h-full bg-gold transition-all duration-300"
+          style={{ width: `${Math.min(widthPercent, 100)}%` }}
+        />
+      </div>
+      <div className="flex justify-between text-xs text-neutral-500 mt-1">
+        <span>
+          {data.requests} requests · {models.map(([name, m]) => `${name} ×${m.requests}`).join(', ')}
+        </span>
+        <span>
+          {tokens.toLocaleString()} tokens
+          {data.cacheReadTokens > 0 && <span className="text-green-600 ml-1">({data.cacheReadTokens.toLocaleString()} cached)</span>}
+        </span>
+      </div>
+    </div>
+  )
+}
+
 function ModelDetailsModal({ modelName, modelData, onClose }) {
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
@@ -580,13 +810,31 @@ function ModelGuide({ name, cost, use, status }) {
   )
 }
 
-function ElevationRequest({ request }) {
+function ElevationRequest({ request, onDecided }) {
+  const [deciding, setDeciding] = useState(false)
+  const [error, setError] = useState(null)
+
+  const decide = async (decision) => {
+    setDeciding(true)
+    setError(null)
+    try {
+      await decideApproval(request.approvalId, decision)
+    } catch (err) {
+      console.error('Elevation decision failed:', err)
+      setError(err.message)
+    }
+    setDeciding(false)
+    onDecided()
+  }
+
   return (
     <div className="p-4 border border-neutral-200 rounded-md">
       <div className="flex justify-between items-start mb-2">
         <div>
-          <span className="font-semibold text-black">Opus Request</span>
-          <span className="text-sm text-neutral-500 ml-2">{request.timestamp}</span>
+          <span className="font-semibold text-black">
+            +${request.amount.toFixed(2)} {request.period} · {request.scope === 'total' ? 'all features' : request.scope}
+          </span>
+          <span className="text-sm text-neutral-500 ml-2">{new Date(request.timestamp).toLocaleString()}</span>
         </div>
         <span className={`px-2 py-1 rounded text-xs font-medium ${
           request.status === 'pending' ? 'bg-yellow-100 text-yellow-700' :
@@ -596,12 +844,192 @@ function ElevationRequest({ request }) {
           {request.status}
         </span>
       </div>
-      <p className="text-sm text-neutral-700 mb-2">
-        <strong>Task:</strong> {request.task}
-      </p>
       <p className="text-sm text-neutral-600">
         <strong>Justification:</strong> {request.justification}
       </p>
+      <p className="text-xs text-neutral-500 mt-1">
+        Requested by {request.requestedBy}
+        {request.decidedBy && ` · ${request.status} by ${request.decidedBy}`}
+        {request.appliesTo && ` · applies to ${request.appliesTo}`}
+      </p>
+      {request.status === 'pending' && request.approvalId && (
+        <div className="flex gap-2 mt-3">
+          <button
+            onClick={() => decide('approved')}
+            disabled={deciding}
+            className="px-3 py-1 text-xs rounded bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+          >
+            Approve
+          </button>
+          <button
+            onClick={() => decide('denied')}
+            disabled={deciding}
+            className="px-3 py-1 text-xs rounded bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+          >
+            Deny
+          </button>
+        </div>
+      )}
+      {error && <p className="text-red-600 text-xs mt-2">{error}</p>}
+    </div>
+  )
+}
+
+function ElevationForm({ scopes, maxElevation, onDone }) {
+  const [scope, setScope] = useState('total')
+  const [period, setPeriod] = useState('daily')
+  const [amount, setAmount] = useState('1')
+  const [justification, setJustification] = useState('')
+  const [error, setError] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    setError(null)
+    try {
+      await requestBudgetElevation({ scope, period, amount: Number(amount), justification })
+      onDone()
+    } catch (err) {
+      setError(err.message)
+    }
+    setSubmitting(false)
+  }
+
+  return (
+    <form onSubmit={submit} className="mb-4 p-4 bg-neutral-50 rounded-md space-y-3 text-sm">
+      <div className="flex flex-wrap gap-3">
+        <select value={scope} onChange={e => setScope(e.target.value)} className="px-2 py-1 border border-neutral-200 rounded-md bg-white">
+          {scopes.map(s => <option key={s} value={s}>{s === 'total' ? 'All features' : s}</option>)}
+        </select>
+        <select value={period} onChange={e => setPeriod(e.target.value)} className="px-2 py-1 border border-neutral-200 rounded-md bg-white">
+          <option value="daily">Today</option>
+          <option value="monthly">This month</option>
+        </select>
+        <label className="flex items-center gap-1">
+          +$
+          <input
+            type="number"
+            min="0.01"
+            max={maxElevation?.[period]}
+            step="0.01"
+            value={amount}
+            onChange={e => setAmount(e.target.value)}
+            className="w-24 px-2 py-1 border border-neutral-200 rounded-md"
+          />
+        </label>
+      </div>
+      <textarea
+        value={justification}
+        onChange={e => setJustification(e.target.value)}
+        placeholder="Why is the extra budget needed?"
+        rows={2}
+        className="w-full px-2 py-1 border border-neutral-200 rounded-md"
+      />
+      {error && <p className="text-red-600 text-xs">{error}</p>}
+      <button
+        type="submit"
+        disabled={submitting || !justification.trim() || !(Number(amount) > 0)}
+        className="px-3 py-1.5 rounded-md bg-gold text-white disabled:opacity-50"
+      >
+        {submitting ? 'Requesting…' : 'Request approval'}
+      </button>
+    </form>
+  )
+}
+
+/**
+ * One routing rule. `rule` null means the feature follows the default route.
+ */
+function RouteRow({ feature, rule, providers, onSave }) {
+  const isDefault = feature === 'default'
+  const [provider, setProvider] = useState(rule?.provider || '')
+  const [model, setModel] = useState(rule?.model || '')
+  const [error, setError] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    setProvider(rule?.provider || '')
+    setModel(rule?.model || '')
+  }, [rule?.provider, rule?.model])
+
+  const dirty = provider !== (rule?.provider || '') || model !== (rule?.model || '')
+
+  const save = async () => {
+    setSaving(true)
+    setError(null)
+    try {
+      await onSave(provider ? { provider, model: model.trim() || null } : null)
+    } catch (err) {
+      setError(err.message)
+    }
+    setSaving(false)
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm">
+      <span className={`w-40 ${isDefault ? 'font-semibold text-black' : 'text-neutral-700'}`}>{isDefault ? 'Default' : feature}</span>
+      <select value={provider} onChange={e => setProvider(e.target.value)} className="px-2 py-1 border border-neutral-200 rounded-md bg-white">
+        {!isDefault && <option value="">Default</option>}
+        {providers.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+      </select>
+      {provider && (
+        <input
+          value={model}
+          onChange={e => setModel(e.target.value)}
+          placeholder={providers.find(p => p.id === provider)?.defaultModel || 'as requested'}
+          className="w-56 px-2 py-1 border border-neutral-200 rounded-md"
+        />
+      )}
+      {dirty && (
+        <button onClick={save} disabled={saving} className="px-3 py-1 rounded-md bg-gold text-white disabled:opacity-50">
+          {saving ? 'Saving…' : 'Save'}
+        </button>
+      )}
+      {error && <span className="text-red-600 text-xs">{error}</span>}
+    </div>
+  )
+}
+
+function BudgetCapRow({ cap, downgradeAt }) {
+  const percent = cap.ratio * 100
+  const barColor = cap.state === 'exceeded' ? 'bg-red-500' : cap.state === 'near' ? 'bg-yellow-500' : 'bg-green-500'
+  const label = cap.state === 'exceeded' ? 'pausing non-critical jobs' : cap.state === 'near' ? 'downgrading' : null
+
+  return (
+    <div>
+      <div className="flex justify-between text-sm mb-1">
+        <span className="font-medium text-black">
+          {cap.scope === 'total' ? 'All features' : cap.scope}
+          <span className="text-neutral-500 font-normal ml-2">{cap.period}</span>
+          {label && <span className={`ml-2 text-xs ${cap.state === 'exceeded' ? 'text-red-600' : 'text-yellow-700'}`}>{label}</span>}
+        </span>
+        <span className="text-neutral-600">
+          ${cap.spent.toFixed(2)} / ${cap.limit.toFixed(2)}
+          {cap.elevated > 0 && <span className="text-green-600 ml-1">(+${cap.elevated.toFixed(2)})</span>}
+        </span>
+      </div>
+      <div className="relative w-full bg-neutral-200 rounded-full h-2 overflow-hidden">
+        <div className={`h-full ${barColor} transition-all duration-300`} style={{ width: `${Math.min(percent, 100)}%` }} />
+        <div className="absolute top-0 h-full w-px bg-neutral-500" style={{ left: `${downgradeAt * 100}%` }} />
+      </div>
+    </div>
+  )
+}
+
+function HistoryBars({ days }) {
+  const max = Math.max(...days.map(d => d.total), 0.01)
+
+  return (
+    <div className="flex items-end gap-0.5 h-24">
+      {days.map(day => (
+        <div
+          key={day.date}
+          className={`flex-1 rounded-t ${day.partial ? 'bg-gold/50' : 'bg-gold'}`}
+          style={{ height: `${Math.max((day.total / max) * 100, 1)}%` }}
+          title={`${day.date}${day.partial ? ' (so far)' : ''}: $${day.total.toFixed(2)} · ${day.requests} requests`}
+        />
+      ))}
     </div>
   )
 }
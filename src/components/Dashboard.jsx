@@ -54,7 +54,7 @@ export default function Dashboard() {
     setShowResults(true)
     try {
       const data = await search(searchQuery)
-      setSearchResults(data)
+      setSearchResults(data.results || [])
     } catch (error) {
       console.error('Search error:', error)
       setSearchResults([])
@@ -97,7 +97,7 @@ export default function Dashboard() {
         // Refresh search results
         if (searchQuery) {
           const data = await search(searchQuery)
-          setSearchResults(data)
+          setSearchResults(data.results || [])
         }
         mutate('/tasks')
         mutate('/dashboard')
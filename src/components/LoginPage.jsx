@@ -2,6 +2,7 @@ import { useState } from 'react'
 import { login } from '../lib/api'
 
 export default function LoginPage({ onSuccess }) {
+  const [username, setUsername] = useState('')
   const [password, setPassword] = useState('')
   const [error, setError] = useState('')
   const [loading, setLoading] = useState(false)
@@ -12,7 +13,7 @@ export default function LoginPage({ onSuccess }) {
     setLoading(true)
 
     try {
-      await login(password)
+      await login(password, username.trim())
       onSuccess()
     } catch (err) {
       setError(err.message)
@@ -29,10 +30,26 @@ export default function LoginPage({ onSuccess }) {
             TensionLines
           </h1>
           <p className="text-sm text-neutral-500 text-center mb-6">
-            Enter your password to continue
+            Sign in to continue
           </p>
 
           <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label htmlFor="username" className="block text-sm font-medium text-neutral-700 mb-1">
+                Username
+              </label>
+              <input
+                id="username"
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                className="w-full px-3 py-2 border border-neutral-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
+                autoComplete="username"
+                autoFocus
+              />
+              <p className="text-xs text-neutral-400 mt-1">Leave blank to use the shared password</p>
+            </div>
+
             <div>
               <label htmlFor="password" className="block text-sm font-medium text-neutral-700 mb-1">
                 Password
@@ -43,7 +60,7 @@ export default function LoginPage({ onSuccess }) {
                 value={password}
                 onChange={(e) => setPassword(e.target.value)}
                 className="w-full px-3 py-2 border border-neutral-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-amber-500"
-                autoFocus
+                autoComplete="current-password"
                 required
               />
             </div>
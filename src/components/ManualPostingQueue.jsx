@@ -35,7 +35,8 @@ import {
   Film,
   Video,
   Image,
-  Download
+  Download,
+  Layers
 } from 'lucide-react'
 import PlatformStatusBadges from './PlatformStatusBadges'
 
@@ -48,6 +49,15 @@ function BlueskyIcon({ size = 16, className = '' }) {
   )
 }
 
+// Mastodon icon
+function MastodonIcon({ size = 16, className = '' }) {
+  return (
+    <svg width={size} height={size} viewBox="0 0 24 24" fill="currentColor" className={className}>
+      <path d="M23.268 5.313c-.35-2.578-2.617-4.61-5.304-5.004C17.51.242 15.792 0 11.813 0h-.03c-3.98 0-4.835.242-5.288.309C3.882.692 1.496 2.518.917 5.127.64 6.412.61 7.837.661 9.143c.074 1.874.088 3.745.26 5.611.118 1.24.325 2.47.62 3.68.55 2.237 2.777 4.098 4.96 4.857 2.336.792 4.849.923 7.256.38.265-.061.527-.132.786-.213.585-.184 1.27-.39 1.774-.753a.057.057 0 0 0 .023-.043v-1.809a.052.052 0 0 0-.02-.041.053.053 0 0 0-.046-.01 20.282 20.282 0 0 1-4.709.545c-2.73 0-3.463-1.284-3.674-1.818a5.593 5.593 0 0 1-.319-1.433.053.053 0 0 1 .066-.054c1.517.363 3.072.546 4.632.546.376 0 .75 0 1.125-.01 1.57-.044 3.224-.124 4.768-.422.038-.008.077-.015.11-.024 2.435-.464 4.753-1.92 4.989-5.604.008-.145.03-1.52.03-1.67.002-.512.167-3.63-.024-5.545zm-3.748 9.195h-2.561V8.29c0-1.309-.55-1.976-1.67-1.976-1.23 0-1.846.79-1.846 2.35v3.403h-2.546V8.663c0-1.56-.617-2.35-1.848-2.35-1.112 0-1.668.668-1.67 1.977v6.218H4.822V8.102c0-1.31.337-2.35 1.011-3.12.696-.77 1.608-1.164 2.74-1.164 1.311 0 2.302.5 2.962 1.498l.638 1.06.638-1.06c.66-.999 1.65-1.498 2.96-1.498 1.13 0 2.043.395 2.74 1.164.675.77 1.012 1.81 1.012 3.12z"/>
+    </svg>
+  )
+}
+
 // Twitter/X icon
 function TwitterIcon({ size = 16, className = '' }) {
   return (
@@ -62,6 +72,7 @@ function getPlatformIcon(platform, size = 16) {
     case 'instagram': return <Instagram size={size} className="text-pink-600" />
     case 'threads': return <MessageCircle size={size} className="text-black" />
     case 'bluesky': return <BlueskyIcon size={size} className="text-blue-500" />
+    case 'mastodon': return <MastodonIcon size={size} className="text-violet-600" />
     case 'twitter': return <TwitterIcon size={size} className="text-neutral-800" />
     case 'reddit': return <Hash size={size} className="text-orange-500" />
     case 'medium': return <BookOpen size={size} className="text-green-700" />
@@ -123,11 +134,12 @@ export default function ManualPostingQueue() {
       </div>
 
       {/* Daily Limits (clickable filters, sorted by most remaining) */}
-      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-3">
+      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-9 gap-3">
         {[
           { platform: 'instagram', icon: <Instagram size={24} />, defaultMax: 2, canPost: data.canPostInstagram, warmup: data.settings?.warmupMode },
           { platform: 'threads', icon: <MessageCircle size={24} />, defaultMax: 3, canPost: data.canPostThreads, warmup: data.settings?.warmupMode },
           { platform: 'bluesky', icon: <BlueskyIcon size={24} className="text-current" />, defaultMax: 5, canPost: data.canPostBluesky, warmup: data.settings?.warmupMode },
+          { platform: 'mastodon', icon: <MastodonIcon size={24} className="text-current" />, defaultMax: 5, canPost: data.canPostMastodon, warmup: data.settings?.warmupMode },
           { platform: 'twitter', icon: <TwitterIcon size={24} className="text-current" />, defaultMax: 5, canPost: data.canPostTwitter, warmup: data.settings?.warmupMode },
           { platform: 'reddit', icon: <Hash size={24} />, defaultMax: 3, canPost: data.canPostReddit, warmup: data.settings?.warmupMode },
           { platform: 'medium', icon: <BookOpen size={24} />, defaultMax: 1, canPost: data.canPostMedium, warmup: data.settings?.warmupMode },
@@ -196,6 +208,7 @@ export default function ManualPostingQueue() {
                 canPost={
                   item.platform === 'instagram' ? data.canPostInstagram :
                   item.platform === 'bluesky' ? data.canPostBluesky :
+                  item.platform === 'mastodon' ? data.canPostMastodon :
                   item.platform === 'twitter' ? data.canPostTwitter :
                   item.platform === 'reddit' ? data.canPostReddit :
                   item.platform === 'medium' ? data.canPostMedium :
@@ -245,6 +258,7 @@ export default function ManualPostingQueue() {
 
 const PLATFORM_STYLE = {
   bluesky: { bg: 'bg-blue-50', border: 'border-blue-200', hover: 'hover:border-blue-300', text: 'text-blue-600', ring: 'ring-blue-500', activeBg: 'bg-blue-100' },
+  mastodon: { bg: 'bg-violet-50', border: 'border-violet-200', hover: 'hover:border-violet-300', text: 'text-violet-600', ring: 'ring-violet-500', activeBg: 'bg-violet-100' },
   twitter: { bg: 'bg-neutral-50', border: 'border-neutral-300', hover: 'hover:border-neutral-400', text: 'text-neutral-800', ring: 'ring-neutral-800', activeBg: 'bg-neutral-100' },
   instagram: { bg: 'bg-pink-50', border: 'border-pink-200', hover: 'hover:border-pink-300', text: 'text-pink-600', ring: 'ring-pink-500', activeBg: 'bg-pink-100' },
   threads: { bg: 'bg-neutral-50', border: 'border-neutral-300', hover: 'hover:border-neutral-400', text: 'text-neutral-800', ring: 'ring-neutral-800', activeBg: 'bg-neutral-100' },
@@ -304,6 +318,7 @@ function PlatformStatus({ platform, icon, postsToday, maxPosts, canPost, warmupM
 const PHILOSOPHER_BY_PLATFORM = {
   twitter: 'nietzsche',
   bluesky: 'heraclitus',
+  mastodon: 'heraclitus',
   threads: 'heraclitus',
   reddit: 'diogenes',
   medium: 'plato',
@@ -503,6 +518,7 @@ function QueueItem({ item, canPost, postingMode, onUpdate }) {
   const platformComposeUrls = {
     twitter: 'https://x.com/compose/post',
     bluesky: 'https://bsky.app/',
+    mastodon: 'https://mastodon.social/publish',
     instagram: 'https://www.canva.com/',
     reddit: 'https://www.reddit.com/r/thetensionlines/submit',
     medium: 'https://medium.com/new-story',
@@ -916,6 +932,11 @@ function QueueItem({ item, canPost, postingMode, onUpdate }) {
                 {item.taskId}
               </span>
             )}
+            {item.duplicates?.length > 0 && (
+              <span className="px-2 py-0.5 text-xs bg-orange-100 text-orange-700 rounded" title="Very similar to an earlier draft or post — see Similar content">
+                Possible duplicate
+              </span>
+            )}
           </div>
 
           {/* Show options if present (e.g. pick A/B/C tweet from different philosophers) */}
@@ -1182,6 +1203,16 @@ function QueueItem({ item, canPost, postingMode, onUpdate }) {
           {isFailed && item.lastError && (
             <p className="text-xs text-red-600 mt-2">Error: {item.lastError}</p>
           )}
+          {item.threadStatus === 'partial' && (
+            <p className="text-xs text-amber-600 mt-2">
+              Thread partially posted ({item.threadParts?.length || 0} parts live) — publishing again resumes from the next part
+            </p>
+          )}
+          {!isFailed && item.nextAttemptAt && (
+            <p className="text-xs text-amber-600 mt-2">
+              Scheduled publish failed{item.lastError ? `: ${item.lastError}` : ''} — retrying {new Date(item.nextAttemptAt).toLocaleString()}
+            </p>
+          )}
           <p className="text-xs text-neutral-400 mt-2">
             Added {new Date(item.createdAt).toLocaleString()}
             {(() => {
@@ -1190,6 +1221,8 @@ function QueueItem({ item, canPost, postingMode, onUpdate }) {
             })()}
           </p>
 
+          <SimilarContent item={item} onUpdate={onUpdate} />
+
           {/* Voice check result inline */}
           {voiceCheck && (
             <div className="mt-2">
@@ -1320,6 +1353,75 @@ function QueueItem({ item, canPost, postingMode, onUpdate }) {
   )
 }
 
+const SIMILAR_KIND_LABELS = { idea: 'Idea', queue: 'Queued', posted: 'Posted' }
+
+function SimilarContent({ item, onUpdate }) {
+  const [open, setOpen] = useState(item.duplicates?.length > 0)
+  const [dismissing, setDismissing] = useState(false)
+  const { data } = useSWR(open ? `/api/posting-queue/${item.id}/similar` : null, fetcher)
+
+  const handleDismiss = async () => {
+    setDismissing(true)
+    try {
+      await fetch(`/api/posting-queue/${item.id}/dismiss-duplicates`, { method: 'POST' })
+      onUpdate()
+    } catch (err) {
+      console.error('Dismiss duplicates error:', err)
+    }
+    setDismissing(false)
+  }
+
+  return (
+    <div className="mt-2">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center gap-1 text-xs text-neutral-500 hover:text-neutral-700"
+      >
+        {open ? <ChevronUp size={12} /> : <ChevronDown size={12} />}
+        <Layers size={12} />
+        Similar content
+      </button>
+      {open && (
+        <div className="mt-2 space-y-1.5">
+          {!data ? (
+            <p className="text-xs text-neutral-400">Loading...</p>
+          ) : data.error ? (
+            <p className="text-xs text-red-500">{data.error}</p>
+          ) : data.matches.length === 0 ? (
+            <p className="text-xs text-neutral-400">Nothing similar in ideas, the queue or past posts</p>
+          ) : (
+            data.matches.map(match => (
+              <div key={`${match.kind}-${match.id}`} className={`flex items-start gap-2 text-xs p-2 rounded ${match.duplicate ? 'bg-orange-50' : 'bg-neutral-50'}`}>
+                <span className={`font-medium whitespace-nowrap ${match.duplicate ? 'text-orange-700' : 'text-neutral-500'}`}>
+                  {Math.round(match.score * 100)}%
+                </span>
+                <span className="whitespace-nowrap text-neutral-500">
+                  {SIMILAR_KIND_LABELS[match.kind]}{match.kind === 'idea' ? ` #${match.id}` : ` · ${match.platform}`}
+                </span>
+                <span className="flex-1 min-w-0 text-neutral-700 truncate" title={match.snippet}>{match.snippet}</span>
+                {match.postUrl && (
+                  <a href={match.postUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800">
+                    <ExternalLink size={12} />
+                  </a>
+                )}
+              </div>
+            ))
+          )}
+          {item.duplicates?.length > 0 && (
+            <button
+              onClick={handleDismiss}
+              disabled={dismissing}
+              className="px-2 py-1 text-xs bg-orange-100 text-orange-700 rounded hover:bg-orange-200 disabled:opacity-50"
+            >
+              Not a duplicate
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
 function PostedItem({ item }) {
   const contentText = item.content || (item.parts?.[0]?.content) || ''
 
@@ -1402,6 +1504,7 @@ function AddToQueueModal({ onClose, onAdd }) {
                 { id: 'instagram', label: 'Instagram', icon: <Instagram size={18} />, active: 'border-pink-500 bg-pink-50 text-pink-700' },
                 { id: 'threads', label: 'Threads', icon: <MessageCircle size={18} />, active: 'border-black bg-neutral-100 text-black' },
                 { id: 'bluesky', label: 'Bluesky', icon: <BlueskyIcon size={18} />, active: 'border-blue-500 bg-blue-50 text-blue-700' },
+                { id: 'mastodon', label: 'Mastodon', icon: <MastodonIcon size={18} />, active: 'border-violet-500 bg-violet-50 text-violet-700' },
                 { id: 'twitter', label: 'Twitter', icon: <TwitterIcon size={18} />, active: 'border-neutral-800 bg-neutral-100 text-neutral-800' },
                 { id: 'reddit', label: 'Reddit', icon: <Hash size={18} />, active: 'border-orange-500 bg-orange-50 text-orange-700' },
                 { id: 'medium', label: 'Medium', icon: <BookOpen size={18} />, active: 'border-green-600 bg-green-50 text-green-700' },
@@ -1437,6 +1540,7 @@ function AddToQueueModal({ onClose, onAdd }) {
               placeholder={
                 platform === 'instagram' ? 'The quote or text that will go on the image...' :
                 platform === 'bluesky' ? 'Your Bluesky post content (300 chars max)...' :
+                platform === 'mastodon' ? 'Your Mastodon post (500 chars max)...' :
                 platform === 'reddit' ? 'Discussion title\n\nBody text goes here...' :
                 platform === 'medium' ? 'Your essay paragraph or section...' :
                 platform === 'substack' ? 'Subject line\n\nNewsletter content...' :
@@ -1452,6 +1556,11 @@ function AddToQueueModal({ onClose, onAdd }) {
                 {content.length} / 300 characters
               </p>
             )}
+            {platform === 'mastodon' && (
+              <p className={`text-xs mt-1 ${content.length > 500 ? 'text-red-600' : 'text-neutral-400'}`}>
+                {content.length} / 500 characters
+              </p>
+            )}
             {platform === 'twitter' && (
               <p className={`text-xs mt-1 ${content.length > 280 ? 'text-red-600' : 'text-neutral-400'}`}>
                 {content.length} / 280 characters
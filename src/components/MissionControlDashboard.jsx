@@ -1,12 +1,13 @@
 import { useState } from 'react'
 import useSWR from 'swr'
-import { Rocket, Users, Calendar, DollarSign, Bug, Activity, Server, Cpu, Wifi, WifiOff, ListTodo, Clock } from 'lucide-react'
+import { Rocket, Users, Calendar, DollarSign, Bug, Activity, Server, Cpu, Wifi, WifiOff, ListTodo, Clock, ScrollText } from 'lucide-react'
 import { useWebSocket } from '../lib/useWebSocket'
 import AgentsPanel from './mission-control/AgentsPanel'
 import EventsPanel from './mission-control/EventsPanel'
 import CostPanel from './mission-control/CostPanel'
 import DebugPanel from './mission-control/DebugPanel'
 import OverviewPanel from './mission-control/OverviewPanel'
+import AuditPanel from './mission-control/AuditPanel'
 
 const fetcher = (url) => fetch(url).then(r => r.json())
 
@@ -16,6 +17,7 @@ const TABS = [
   { id: 'events', label: 'Events', icon: Calendar },
   { id: 'costs', label: 'Costs', icon: DollarSign },
   { id: 'debug', label: 'Debug', icon: Bug },
+  { id: 'audit', label: 'Audit', icon: ScrollText },
 ]
 
 function formatUptime(seconds) {
@@ -101,6 +103,7 @@ export default function MissionControlDashboard() {
         {activeTab === 'events' && <EventsPanel />}
         {activeTab === 'costs' && <CostPanel />}
         {activeTab === 'debug' && <DebugPanel />}
+        {activeTab === 'audit' && <AuditPanel />}
       </div>
     </div>
   )
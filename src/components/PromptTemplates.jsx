@@ -0,0 +1,301 @@
+import { useState, useEffect } from 'react'
+import useSWR from 'swr'
+import { fetcher, savePromptVersion, updatePrompt } from '../lib/api'
+import { ScrollText, Save, CheckCircle, FlaskConical, Square } from 'lucide-react'
+
+export default function PromptTemplates() {
+  const { data, error, isLoading } = useSWR('/api/prompts', fetcher, { refreshInterval: 60000 })
+  const [selectedId, setSelectedId] = useState(null)
+  const prompts = data?.prompts || []
+
+  useEffect(() => {
+    if (!selectedId && prompts.length) setSelectedId(prompts[0].id)
+  }, [selectedId, prompts])
+
+  return (
+    <div className="space-y-6 animate-fadeIn">
+      <div>
+        <h1 className="text-3xl font-serif font-bold text-black">Prompt Templates</h1>
+        <p className="text-neutral-600 mt-1">Versioned prompts behind every generated draft, review and script</p>
+      </div>
+
+      {isLoading && (
+        <div className="flex justify-center py-12">
+          <div className="w-12 h-12 border-4 border-gold border-t-transparent rounded-full animate-spin" />
+        </div>
+      )}
+
+      {error && (
+        <div className="card text-center py-8">
+          <p className="text-red-500 text-sm">{error.message}</p>
+        </div>
+      )}
+
+      {prompts.length > 0 && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="card p-0 overflow-hidden lg:col-span-1 self-start">
+            {prompts.map(prompt => (
+              <button
+                key={prompt.id}
+                onClick={() => setSelectedId(prompt.id)}
+                className={`w-full text-left px-4 py-3 border-b border-neutral-100 last:border-0 transition-colors ${
+                  prompt.id === selectedId ? 'bg-gold/10' : 'hover:bg-neutral-50'
+                }`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-medium text-black text-sm">{prompt.label}</span>
+                  <span className="text-xs text-neutral-500">v{prompt.active}{prompt.latestVersion > 1 && ` of ${prompt.latestVersion}`}</span>
+                </div>
+                <div className="flex items-center gap-2 mt-1">
+                  <span className="text-xs text-neutral-500">{prompt.feature}</span>
+                  {prompt.experiment && (
+                    <span className="badge bg-purple-100 text-purple-700">A/B v{prompt.experiment.a} · v{prompt.experiment.b}</span>
+                  )}
+                </div>
+              </button>
+            ))}
+          </div>
+
+          <div className="lg:col-span-2">
+            {selectedId && <PromptDetail key={selectedId} id={selectedId} />}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function PromptDetail({ id }) {
+  const { data: prompt, mutate } = useSWR(`/api/prompts/${id}`, fetcher)
+  const { data: comparison } = useSWR(`/api/prompts/${id}/compare`, fetcher, { refreshInterval: 60000 })
+  const [viewing, setViewing] = useState(null)
+  const [text, setText] = useState('')
+  const [note, setNote] = useState('')
+  const [activate, setActivate] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const versions = prompt?.versions || []
+  const shown = versions.find(v => v.version === viewing) || versions.find(v => v.version === prompt?.active)
+
+  useEffect(() => {
+    if (shown) setText(shown.template)
+  }, [shown?.version])
+
+  const run = async (action) => {
+    setSaving(true)
+    setError(null)
+    try {
+      await action()
+      await mutate()
+    } catch (err) {
+      setError(err.message)
+    }
+    setSaving(false)
+  }
+
+  const saveVersion = () => run(async () => {
+    const result = await savePromptVersion(id, { template: text, note: note.trim(), activate })
+    setNote('')
+    setViewing(result.version)
+  })
+
+  if (!prompt) return <div className="card text-neutral-500 text-sm">Loading…</div>
+
+  return (
+    <div className="space-y-6">
+      <div className="card space-y-4">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h2 className="text-xl font-serif font-bold text-black flex items-center gap-2">
+              <ScrollText size={20} className="text-gold" /> {prompt.label}
+            </h2>
+            <p className="text-sm text-neutral-600 mt-1">{prompt.description}</p>
+          </div>
+          <select
+            value={shown?.version || ''}
+            onChange={e => setViewing(Number(e.target.value))}
+            className="px-2 py-1 border border-neutral-200 rounded-md bg-white text-sm"
+          >
+            {versions.map(v => (
+              <option key={v.version} value={v.version}>
+                v{v.version}{v.version === prompt.active ? ' (active)' : ''}{v.note ? ` — ${v.note}` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {prompt.variables.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 text-xs text-neutral-500">
+            Variables:
+            {prompt.variables.map(v => <code key={v} className="bg-neutral-100 px-1.5 py-0.5 rounded">{`{{${v}}}`}</code>)}
+          </div>
+        )}
+
+        <textarea
+          value={text}
+          onChange={e => setText(e.target.value)}
+          rows={16}
+          className="w-full px-3 py-2 border border-neutral-200 rounded-md font-mono text-xs"
+        />
+
+        {shown && (
+          <p className="text-xs text-neutral-500">
+            v{shown.version} by {shown.createdBy}
+            {shown.createdAt && ` · ${new Date(shown.createdAt).toLocaleString()}`}
+          </p>
+        )}
+
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <input
+            value={note}
+            onChange={e => setNote(e.target.value)}
+            maxLength={200}
+            placeholder="What changed?"
+            className="flex-1 min-w-[12rem] px-2 py-1 border border-neutral-200 rounded-md"
+          />
+          <label className="flex items-center gap-1.5 text-neutral-600">
+            <input type="checkbox" checked={activate} onChange={e => setActivate(e.target.checked)} />
+            Activate
+          </label>
+          <button
+            onClick={saveVersion}
+            disabled={saving || !text.trim() || text === shown?.template}
+            className="px-3 py-1 rounded-md bg-gold text-white disabled:opacity-50 flex items-center gap-1.5"
+          >
+            <Save size={14} /> Save as new version
+          </button>
+          {shown && shown.version !== prompt.active && (
+            <button
+              onClick={() => run(() => updatePrompt(id, { active: shown.version }))}
+              disabled={saving}
+              className="px-3 py-1 rounded-md border border-neutral-200 bg-white disabled:opacity-50 flex items-center gap-1.5"
+            >
+              <CheckCircle size={14} /> Make v{shown.version} active
+            </button>
+          )}
+        </div>
+
+        {error && <p className="text-red-600 text-xs">{error}</p>}
+      </div>
+
+      <ExperimentCard prompt={prompt} saving={saving} onChange={(experiment) => run(() => updatePrompt(id, { experiment }))} />
+
+      <CompareTable comparison={comparison} prompt={prompt} />
+    </div>
+  )
+}
+
+function ExperimentCard({ prompt, saving, onChange }) {
+  const versions = prompt.versions.map(v => v.version)
+  const [a, setA] = useState(prompt.active)
+  const [b, setB] = useState(versions.at(-1))
+  const [split, setSplit] = useState(50)
+  const experiment = prompt.experiment
+
+  const versionSelect = (value, setter) => (
+    <select value={value} onChange={e => setter(Number(e.target.value))} className="px-2 py-1 border border-neutral-200 rounded-md bg-white">
+      {versions.map(v => <option key={v} value={v}>v{v}</option>)}
+    </select>
+  )
+
+  return (
+    <div className="card space-y-3">
+      <h3 className="font-semibold text-black flex items-center gap-2">
+        <FlaskConical size={18} className="text-gold" /> A/B Experiment
+      </h3>
+      {experiment ? (
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <span className="text-neutral-700">
+            v{experiment.a} vs v{experiment.b} — {Math.round(experiment.split * 100)}% of runs on v{experiment.b}
+            <span className="text-neutral-500"> · since {new Date(experiment.startedAt).toLocaleDateString()}</span>
+          </span>
+          <button
+            onClick={() => onChange(null)}
+            disabled={saving}
+            className="px-3 py-1 rounded-md border border-neutral-200 bg-white disabled:opacity-50 flex items-center gap-1.5"
+          >
+            <Square size={14} /> Stop
+          </button>
+        </div>
+      ) : versions.length < 2 ? (
+        <p className="text-sm text-neutral-500">Save a second version to compare it against the first.</p>
+      ) : (
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          A {versionSelect(a, setA)}
+          B {versionSelect(b, setB)}
+          <label className="flex items-center gap-1.5 text-neutral-600">
+            <input
+              type="number"
+              min={1}
+              max={99}
+              value={split}
+              onChange={e => setSplit(Number(e.target.value))}
+              className="w-16 px-2 py-1 border border-neutral-200 rounded-md"
+            />
+            % on B
+          </label>
+          <button
+            onClick={() => onChange({ a, b, split: split / 100 })}
+            disabled={saving || a === b || !(split > 0 && split < 100)}
+            className="px-3 py-1 rounded-md bg-gold text-white disabled:opacity-50"
+          >
+            Start
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function CompareTable({ comparison, prompt }) {
+  const rows = (comparison?.versions || []).filter(v => v.calls > 0 || v.artifacts.drafts > 0)
+  const arm = (version) => {
+    if (prompt.experiment?.a === version) return 'A'
+    if (prompt.experiment?.b === version) return 'B'
+    return null
+  }
+
+  return (
+    <div className="card">
+      <h3 className="font-semibold text-black mb-1">Version Comparison</h3>
+      {comparison && <p className="text-xs text-neutral-500 mb-3">{comparison.from} – {comparison.to}</p>}
+      {rows.length === 0 ? (
+        <p className="text-sm text-neutral-500">No runs recorded for this template in this period.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-neutral-500 border-b border-neutral-200">
+                <th className="py-2 pr-3 font-medium">Version</th>
+                <th className="py-2 pr-3 font-medium text-right">Calls</th>
+                <th className="py-2 pr-3 font-medium text-right">Avg cost</th>
+                <th className="py-2 pr-3 font-medium text-right">Drafts</th>
+                <th className="py-2 pr-3 font-medium text-right">Edit rate</th>
+                <th className="py-2 pr-3 font-medium text-right">Posted</th>
+                <th className="py-2 font-medium text-right">Engagement</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.version} className="border-b border-neutral-100 last:border-0">
+                  <td className="py-2 pr-3">
+                    <span className="font-medium text-black">v{row.version}</span>
+                    {row.version === prompt.active && <span className="ml-2 badge bg-green-100 text-green-700">active</span>}
+                    {arm(row.version) && <span className="ml-2 badge bg-purple-100 text-purple-700">{arm(row.version)}</span>}
+                  </td>
+                  <td className="py-2 pr-3 text-right">{row.calls}</td>
+                  <td className="py-2 pr-3 text-right">{row.avgCost !== null ? `$${row.avgCost.toFixed(4)}` : '—'}</td>
+                  <td className="py-2 pr-3 text-right">{row.artifacts.drafts}</td>
+                  <td className="py-2 pr-3 text-right">{row.artifacts.editRate !== null ? `${row.artifacts.editRate}%` : '—'}</td>
+                  <td className="py-2 pr-3 text-right">{row.artifacts.posted}</td>
+                  <td className="py-2 text-right">{row.artifacts.engagementRate !== null ? `${row.artifacts.engagementRate}%` : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -36,6 +36,15 @@ function BlueskyIcon({ size = 16, className = '' }) {
   )
 }
 
+// Mastodon icon
+function MastodonIcon({ size = 16, className = '' }) {
+  return (
+    <svg width={size} height={size} viewBox="0 0 24 24" fill="currentColor" className={className}>
+      <path d="M23.268 5.313c-.35-2.578-2.617-4.61-5.304-5.004C17.51.242 15.792 0 11.813 0h-.03c-3.98 0-4.835.242-5.288.309C3.882.692 1.496 2.518.917 5.127.64 6.412.61 7.837.661 9.143c.074 1.874.088 3.745.26 5.611.118 1.24.325 2.47.62 3.68.55 2.237 2.777 4.098 4.96 4.857 2.336.792 4.849.923 7.256.38.265-.061.527-.132.786-.213.585-.184 1.27-.39 1.774-.753a.057.057 0 0 0 .023-.043v-1.809a.052.052 0 0 0-.02-.041.053.053 0 0 0-.046-.01 20.282 20.282 0 0 1-4.709.545c-2.73 0-3.463-1.284-3.674-1.818a5.593 5.593 0 0 1-.319-1.433.053.053 0 0 1 .066-.054c1.517.363 3.072.546 4.632.546.376 0 .75 0 1.125-.01 1.57-.044 3.224-.124 4.768-.422.038-.008.077-.015.11-.024 2.435-.464 4.753-1.92 4.989-5.604.008-.145.03-1.52.03-1.67.002-.512.167-3.63-.024-5.545zm-3.748 9.195h-2.561V8.29c0-1.309-.55-1.976-1.67-1.976-1.23 0-1.846.79-1.846 2.35v3.403h-2.546V8.663c0-1.56-.617-2.35-1.848-2.35-1.112 0-1.668.668-1.67 1.977v6.218H4.822V8.102c0-1.31.337-2.35 1.011-3.12.696-.77 1.608-1.164 2.74-1.164 1.311 0 2.302.5 2.962 1.498l.638 1.06.638-1.06c.66-.999 1.65-1.498 2.96-1.498 1.13 0 2.043.395 2.74 1.164.675.77 1.012 1.81 1.012 3.12z"/>
+    </svg>
+  )
+}
+
 // Twitter/X icon
 function TwitterIcon({ size = 16, className = '' }) {
   return (
@@ -48,6 +57,7 @@ function TwitterIcon({ size = 16, className = '' }) {
 function getPlatformIcon(platform, size = 16) {
   switch (platform) {
     case 'bluesky': return <BlueskyIcon size={size} className="text-blue-500" />
+    case 'mastodon': return <MastodonIcon size={size} className="text-violet-600" />
     case 'twitter': return <TwitterIcon size={size} className="text-neutral-800" />
     case 'threads': return <MessageCircle size={size} className="text-neutral-700" />
     case 'instagram': return <Instagram size={size} className="text-pink-500" />
@@ -60,6 +70,7 @@ function getPlatformIcon(platform, size = 16) {
 
 const PLATFORM_LABELS = {
   bluesky: 'Bluesky',
+  mastodon: 'Mastodon',
   twitter: 'Twitter / X',
   threads: 'Threads',
   instagram: 'Instagram',
@@ -68,6 +79,10 @@ const PLATFORM_LABELS = {
   substack: 'Substack',
 }
 
+// Platforms whose publisher adapter can post replies via API
+const API_PLATFORMS = ['bluesky', 'mastodon', 'twitter']
+const CHAR_LIMITS = { bluesky: 300, mastodon: 500 }
+
 export default function ReplyQueue() {
   const [activeTab, setActiveTab] = useState('queue')
   const [showAddModal, setShowAddModal] = useState(false)
@@ -258,7 +273,7 @@ export default function ReplyQueue() {
       {activeTab === 'queue' ? (
         <>
           {/* Rate Limit Cards (clickable filters) */}
-          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3">
+          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-3">
             {(() => {
               // Compute last replied per platform
               const lastRepliedByPlatform = {}
@@ -278,6 +293,7 @@ export default function ReplyQueue() {
               }
               return [
                 { key: 'bluesky', icon: <BlueskyIcon size={20} className="text-current" /> },
+              { key: 'mastodon', icon: <MastodonIcon size={20} className="text-current" /> },
                 { key: 'twitter', icon: <TwitterIcon size={20} className="text-current" /> },
                 { key: 'threads', icon: <MessageCircle size={20} className="text-current" /> },
                 { key: 'instagram', icon: <Instagram size={20} className="text-current" /> },
@@ -523,6 +539,7 @@ function EngagementInbox({ data, onRefresh, onDraftReply }) {
         <div className="flex items-center gap-3 flex-wrap">
           {[
             { key: 'bluesky', icon: <BlueskyIcon size={14} className="text-blue-500" /> },
+            { key: 'mastodon', icon: <MastodonIcon size={14} className="text-violet-600" /> },
             { key: 'twitter', icon: <TwitterIcon size={14} className="text-neutral-700" /> },
             { key: 'threads', icon: <MessageCircle size={14} className="text-neutral-600" /> },
             { key: 'instagram', icon: <Instagram size={14} className="text-pink-500" /> },
@@ -833,6 +850,7 @@ function EngagementItem({ item, selected, selectable, onToggleSelect, onDraftRep
 
 const PLATFORM_STYLE = {
   bluesky: { bg: 'bg-blue-50', border: 'border-blue-200', hover: 'hover:border-blue-300', text: 'text-blue-600', ring: 'ring-blue-500', activeBg: 'bg-blue-100' },
+  mastodon: { bg: 'bg-violet-50', border: 'border-violet-200', hover: 'hover:border-violet-300', text: 'text-violet-600', ring: 'ring-violet-500', activeBg: 'bg-violet-100' },
   twitter: { bg: 'bg-neutral-50', border: 'border-neutral-300', hover: 'hover:border-neutral-400', text: 'text-neutral-800', ring: 'ring-neutral-800', activeBg: 'bg-neutral-100' },
   threads: { bg: 'bg-neutral-50', border: 'border-neutral-300', hover: 'hover:border-neutral-400', text: 'text-neutral-700', ring: 'ring-neutral-700', activeBg: 'bg-neutral-100' },
   instagram: { bg: 'bg-pink-50', border: 'border-pink-200', hover: 'hover:border-pink-300', text: 'text-pink-600', ring: 'ring-pink-500', activeBg: 'bg-pink-100' },
@@ -881,7 +899,7 @@ function ReplyItem({ item, canReply, onUpdate }) {
   const [copyFeedback, setCopyFeedback] = useState(false)
   const [followTracked, setFollowTracked] = useState(false)
 
-  const handlePublishBluesky = async () => {
+  const handlePublish = async () => {
     setPublishStatus('publishing')
     setPublishError(null)
     try {
@@ -1065,9 +1083,9 @@ function ReplyItem({ item, canReply, onUpdate }) {
 
         {/* Actions */}
         <div className="flex flex-col gap-2">
-          {item.platform === 'bluesky' && canReply && (
+          {API_PLATFORMS.includes(item.platform) && canReply && (
             <button
-              onClick={handlePublishBluesky}
+              onClick={handlePublish}
               disabled={publishStatus === 'publishing'}
               className="flex items-center gap-1 px-3 py-1.5 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
             >
@@ -1079,7 +1097,7 @@ function ReplyItem({ item, canReply, onUpdate }) {
               {isFailed ? 'Retry' : 'Publish Reply'}
             </button>
           )}
-          {item.platform !== 'bluesky' && (
+          {!API_PLATFORMS.includes(item.platform) && (
             <>
               <button
                 onClick={handleCopyAndOpen}
@@ -1218,6 +1236,7 @@ function AddReplyModal({ onClose, onAdd }) {
             <div className="grid grid-cols-4 gap-2">
               {[
                 { key: 'bluesky', icon: <BlueskyIcon size={18} />, active: 'border-blue-500 bg-blue-50 text-blue-700' },
+                { key: 'mastodon', icon: <MastodonIcon size={18} />, active: 'border-violet-500 bg-violet-50 text-violet-700' },
                 { key: 'twitter', icon: <TwitterIcon size={18} />, active: 'border-neutral-800 bg-neutral-100 text-black' },
                 { key: 'threads', icon: <MessageCircle size={18} />, active: 'border-neutral-700 bg-neutral-100 text-neutral-800' },
                 { key: 'instagram', icon: <Instagram size={18} />, active: 'border-pink-500 bg-pink-50 text-pink-700' },
@@ -1252,7 +1271,9 @@ function AddReplyModal({ onClose, onAdd }) {
               placeholder={
                 platform === 'bluesky'
                   ? 'https://bsky.app/profile/handle/post/...'
-                  : 'https://x.com/username/status/...'
+                  : platform === 'mastodon'
+                    ? 'https://mastodon.social/@handle/...'
+                    : 'https://x.com/username/status/...'
               }
               className="w-full px-3 py-2 border border-neutral-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-200"
               required
@@ -1286,17 +1307,17 @@ function AddReplyModal({ onClose, onAdd }) {
               className="w-full px-3 py-2 border border-neutral-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-200"
               required
             />
-            {platform === 'bluesky' && (
-              <p className={`text-xs mt-1 ${replyText.length > 300 ? 'text-red-600' : 'text-neutral-400'}`}>
-                {replyText.length} / 300 characters
+            {CHAR_LIMITS[platform] && (
+              <p className={`text-xs mt-1 ${replyText.length > CHAR_LIMITS[platform] ? 'text-red-600' : 'text-neutral-400'}`}>
+                {replyText.length} / {CHAR_LIMITS[platform]} characters
               </p>
             )}
           </div>
 
-          {platform === 'bluesky' ? (
+          {API_PLATFORMS.includes(platform) ? (
             <p className="text-sm text-blue-600 flex items-center gap-2">
               <Send size={14} />
-              Bluesky replies are published automatically via API
+              {PLATFORM_LABELS[platform]} replies are published automatically via API
             </p>
           ) : (
             <p className="text-sm text-neutral-600 flex items-center gap-2">
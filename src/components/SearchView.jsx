@@ -1,27 +1,105 @@
 import { useState } from 'react'
+import { Link } from 'react-router-dom'
 import { search } from '../lib/api'
-import { Search, FileText, Lightbulb, ListTodo } from 'lucide-react'
+import {
+  Search, FileText, Lightbulb, ListTodo, Users, Activity, MessageSquare, Send,
+  CheckCircle, Mic, BookOpen, Brain, Compass, ExternalLink, ChevronLeft, ChevronRight
+} from 'lucide-react'
+
+const PAGE_SIZE = 20
+
+const TYPE_LABELS = {
+  task: 'Tasks',
+  agent: 'Agents',
+  activity: 'Activity',
+  message: 'Messages',
+  idea: 'Ideas',
+  draft: 'Drafts',
+  queue: 'Queued posts',
+  posted: 'Posted',
+  podcast: 'Podcast',
+  chapter: 'Chapters',
+  memory: 'Memory',
+  'future-need': 'Future needs',
+}
+
+const TYPE_ICONS = {
+  task: ListTodo,
+  agent: Users,
+  activity: Activity,
+  message: MessageSquare,
+  idea: Lightbulb,
+  draft: FileText,
+  queue: Send,
+  posted: CheckCircle,
+  podcast: Mic,
+  chapter: BookOpen,
+  memory: Brain,
+  'future-need': Compass,
+}
 
 export default function SearchView() {
   const [query, setQuery] = useState('')
-  const [results, setResults] = useState([])
+  const [types, setTypes] = useState([])
+  const [after, setAfter] = useState('')
+  const [before, setBefore] = useState('')
+  const [offset, setOffset] = useState(0)
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
   const [loading, setLoading] = useState(false)
 
-  const handleSearch = async (e) => {
-    e.preventDefault()
-    if (query.length < 2) return
+  const runSearch = async (overrides = {}) => {
+    const params = { types, after, before, offset, ...overrides }
+    if (query.trim().length < 2) return
 
     setLoading(true)
+    setError(null)
     try {
-      const data = await search(query)
-      setResults(data)
-    } catch (error) {
-      console.error('Search error:', error)
+      const result = await search(query, {
+        types: params.types.length ? params.types : undefined,
+        after: params.after || undefined,
+        before: params.before || undefined,
+        limit: PAGE_SIZE,
+        offset: params.offset,
+      })
+      setData(result)
+    } catch (err) {
+      console.error('Search error:', err)
+      setError(err.message)
+      setData(null)
     } finally {
       setLoading(false)
     }
   }
 
+  const handleSearch = (e) => {
+    e.preventDefault()
+    setOffset(0)
+    runSearch({ offset: 0 })
+  }
+
+  const toggleType = (type) => {
+    const next = types.includes(type) ? types.filter(t => t !== type) : [...types, type]
+    setTypes(next)
+    setOffset(0)
+    if (data) runSearch({ types: next, offset: 0 })
+  }
+
+  const setDate = (setter, key) => (e) => {
+    setter(e.target.value)
+    setOffset(0)
+    if (data) runSearch({ [key]: e.target.value, offset: 0 })
+  }
+
+  const goToPage = (nextOffset) => {
+    setOffset(nextOffset)
+    runSearch({ offset: nextOffset })
+  }
+
+  const results = data?.results || []
+  const total = data?.total || 0
+  const counts = data?.counts || {}
+
   return (
     <div className="space-y-6 animate-fadeIn">
       <div>
@@ -30,17 +108,50 @@ export default function SearchView() {
       </div>
 
       {/* Search Form */}
-      <form onSubmit={handleSearch} className="card">
+      <form onSubmit={handleSearch} className="card space-y-4">
         <div className="relative">
           <Search className="absolute left-3 top-3 text-neutral-400" size={20} />
           <input
             type="text"
             value={query}
             onChange={(e) => setQuery(e.target.value)}
-            placeholder="Search tasks, ideas, drafts, memory..."
+            placeholder="Search tasks, ideas, posts, chapters, memory..."
             className="input-search w-full"
           />
         </div>
+        <p className="text-xs text-neutral-500">
+          Use <code>"exact phrase"</code>, <code>prefix*</code>, <code>type:idea</code>, <code>after:2026-01-01</code> or <code>before:2026-03-01</code>.
+        </p>
+
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(TYPE_LABELS).map(([type, label]) => {
+            const active = types.includes(type)
+            return (
+              <button
+                key={type}
+                type="button"
+                onClick={() => toggleType(type)}
+                className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${
+                  active ? 'bg-gold text-white border-gold' : 'bg-white text-neutral-600 border-neutral-200 hover:border-gold'
+                }`}
+              >
+                {label}
+                {data && counts[type] ? <span className="ml-1 opacity-75">{counts[type]}</span> : null}
+              </button>
+            )
+          })}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 text-sm text-neutral-600">
+          <label className="flex items-center gap-2">
+            After
+            <input type="date" value={after} onChange={setDate(setAfter, 'after')} className="px-2 py-1 border border-neutral-200 rounded-md" />
+          </label>
+          <label className="flex items-center gap-2">
+            Before
+            <input type="date" value={before} onChange={setDate(setBefore, 'before')} className="px-2 py-1 border border-neutral-200 rounded-md" />
+          </label>
+        </div>
       </form>
 
       {/* Results */}
@@ -50,18 +161,49 @@ export default function SearchView() {
         </div>
       )}
 
+      {!loading && error && (
+        <div className="card text-center py-8">
+          <p className="text-red-500 text-sm">{error}</p>
+        </div>
+      )}
+
       {!loading && results.length > 0 && (
         <div className="space-y-3">
-          <p className="text-sm text-neutral-600">{results.length} results found</p>
-          {results.map((result, idx) => (
-            <ResultCard key={idx} result={result} />
+          <p className="text-sm text-neutral-600">
+            {total} result{total === 1 ? '' : 's'} found
+            {data.tookMs !== undefined && <span className="text-neutral-400"> · {data.tookMs}ms</span>}
+          </p>
+          {results.map(result => (
+            <ResultCard key={`${result.type}-${result.id}`} result={result} />
           ))}
+
+          {total > PAGE_SIZE && (
+            <div className="flex items-center justify-between text-sm text-neutral-500">
+              <span>{offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}</span>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => goToPage(Math.max(offset - PAGE_SIZE, 0))}
+                  disabled={offset === 0}
+                  className="p-1.5 rounded border border-neutral-200 bg-white disabled:opacity-40"
+                >
+                  <ChevronLeft size={14} />
+                </button>
+                <button
+                  onClick={() => goToPage(offset + PAGE_SIZE)}
+                  disabled={offset + PAGE_SIZE >= total}
+                  className="p-1.5 rounded border border-neutral-200 bg-white disabled:opacity-40"
+                >
+                  <ChevronRight size={14} />
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       )}
 
-      {!loading && query && results.length === 0 && (
+      {!loading && !error && data && results.length === 0 && (
         <div className="card text-center py-12">
-          <p className="text-neutral-500">No results found for "{query}"</p>
+          <p className="text-neutral-500">No results found for "{data.query || query}"</p>
         </div>
       )}
     </div>
@@ -69,27 +211,63 @@ export default function SearchView() {
 }
 
 function ResultCard({ result }) {
-  const getIcon = () => {
-    switch (result.type) {
-      case 'task': return <ListTodo size={20} className="text-gold" />
-      case 'idea': return <Lightbulb size={20} className="text-gold" />
-      case 'draft': return <FileText size={20} className="text-gold" />
-      default: return <FileText size={20} className="text-gold" />
-    }
-  }
+  const Icon = TYPE_ICONS[result.type] || FileText
+  const meta = [result.status, result.platform, result.date && new Date(result.date).toLocaleDateString()].filter(Boolean)
 
   return (
     <div className="card card-hover">
       <div className="flex items-start space-x-3">
-        <div className="flex-shrink-0 mt-1">{getIcon()}</div>
-        <div className="flex-1">
+        <div className="flex-shrink-0 mt-1"><Icon size={20} className="text-gold" /></div>
+        <div className="flex-1 min-w-0">
           <div className="flex items-center space-x-2 mb-1">
-            <span className="badge bg-neutral-200 text-neutral-700">{result.type}</span>
+            <span className="badge bg-neutral-200 text-neutral-700">{TYPE_LABELS[result.type] || result.type}</span>
+            {meta.length > 0 && <span className="text-xs text-neutral-500">{meta.join(' · ')}</span>}
           </div>
-          <h3 className="font-medium text-black mb-1">{result.title}</h3>
-          <p className="text-sm text-neutral-600">{result.snippet}...</p>
+          <h3 className="font-medium text-black mb-1">
+            {result.url ? (
+              <Link to={result.url} className="hover:text-gold">
+                <Highlighted text={result.title} ranges={result.titleHighlights} />
+              </Link>
+            ) : (
+              <Highlighted text={result.title} ranges={result.titleHighlights} />
+            )}
+          </h3>
+          {result.snippet && (
+            <p className="text-sm text-neutral-600 whitespace-pre-line">
+              <Highlighted text={result.snippet} ranges={result.highlights} />
+            </p>
+          )}
+          {result.externalUrl && (
+            <a
+              href={result.externalUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center gap-1 text-xs text-gold hover:underline mt-2"
+            >
+              <ExternalLink size={12} /> View live post
+            </a>
+          )}
         </div>
       </div>
     </div>
   )
 }
+
+/**
+ * Render text with the server-provided [start, end) ranges wrapped in <mark>
+ */
+function Highlighted({ text, ranges }) {
+  if (!text) return null
+  if (!ranges?.length) return text
+
+  const parts = []
+  let cursor = 0
+  for (const [start, end] of ranges) {
+    if (start < cursor) continue
+    if (start > cursor) parts.push(text.slice(cursor, start))
+    parts.push(<mark key={start} className="bg-gold/20 text-black rounded px-0.5">{text.slice(start, end)}</mark>)
+    cursor = end
+  }
+  if (cursor < text.length) parts.push(text.slice(cursor))
+  return parts
+}
@@ -0,0 +1,179 @@
+import { useState } from 'react'
+import useSWR from 'swr'
+import { ChevronDown, ChevronRight, ChevronLeft, User } from 'lucide-react'
+import { fetcher } from '../../lib/api'
+
+const PAGE_SIZE = 50
+
+const METHOD_COLORS = {
+  POST: 'bg-green-100 text-green-700',
+  PATCH: 'bg-blue-100 text-blue-700',
+  PUT: 'bg-blue-100 text-blue-700',
+  DELETE: 'bg-red-100 text-red-700',
+}
+
+export default function AuditPanel() {
+  const [filters, setFilters] = useState({ user: '', entityType: '', method: '', status: '', entityId: '' })
+  const [offset, setOffset] = useState(0)
+
+  const params = new URLSearchParams({ limit: PAGE_SIZE, offset })
+  for (const [key, value] of Object.entries(filters)) {
+    if (value) params.set(key, value.trim())
+  }
+  const { data, error } = useSWR(`/api/audit?${params}`, fetcher, { refreshInterval: 30000 })
+
+  const entries = data?.entries || []
+  // total is null when the server stopped reading before the oldest day
+  const total = data?.total ?? null
+  const hasMore = Boolean(data?.hasMore)
+
+  const setFilter = (key, value) => {
+    setFilters(f => ({ ...f, [key]: value }))
+    setOffset(0)
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-2">
+        <FilterSelect value={filters.user} onChange={v => setFilter('user', v)} placeholder="All users" options={data?.filters?.users || []} />
+        <FilterSelect value={filters.entityType} onChange={v => setFilter('entityType', v)} placeholder="All entities" options={data?.filters?.entityTypes || []} />
+        <FilterSelect value={filters.method} onChange={v => setFilter('method', v)} placeholder="All methods" options={['POST', 'PATCH', 'PUT', 'DELETE']} />
+        <FilterSelect value={filters.status} onChange={v => setFilter('status', v)} placeholder="Any result" options={['success', 'error']} />
+        <input
+          value={filters.entityId}
+          onChange={e => setFilter('entityId', e.target.value)}
+          placeholder="Entity id"
+          className="px-3 py-1.5 text-sm border border-neutral-200 rounded-md bg-white"
+        />
+      </div>
+
+      <div className="bg-white rounded-lg border border-neutral-200">
+        {error || data?.error ? (
+          <div className="p-6 text-center text-red-500 text-sm">
+            {data?.error || 'Failed to load audit log'}
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="p-6 text-center text-neutral-400 text-sm">
+            {data ? 'No audit entries match these filters.' : 'Loading...'}
+          </div>
+        ) : (
+          <div className="divide-y divide-neutral-100">
+            {entries.map(entry => <AuditRow key={entry.id} entry={entry} />)}
+          </div>
+        )}
+      </div>
+
+      {(offset > 0 || hasMore) && entries.length > 0 && (
+        <div className="flex items-center justify-between text-sm text-neutral-500">
+          <span>{offset + 1}–{offset + entries.length}{total !== null ? ` of ${total}` : ''}</span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+              disabled={offset === 0}
+              className="p-1.5 rounded border border-neutral-200 bg-white disabled:opacity-40"
+            >
+              <ChevronLeft size={14} />
+            </button>
+            <button
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+              disabled={!hasMore}
+              className="p-1.5 rounded border border-neutral-200 bg-white disabled:opacity-40"
+            >
+              <ChevronRight size={14} />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function FilterSelect({ value, onChange, placeholder, options }) {
+  return (
+    <select
+      value={value}
+      onChange={e => onChange(e.target.value)}
+      className="px-3 py-1.5 text-sm border border-neutral-200 rounded-md bg-white"
+    >
+      <option value="">{placeholder}</option>
+      {options.map(o => <option key={o} value={o}>{o}</option>)}
+    </select>
+  )
+}
+
+function AuditRow({ entry }) {
+  const [open, setOpen] = useState(false)
+  const changes = entry.diff ? Object.entries(entry.diff) : []
+  const failed = entry.status >= 400
+
+  return (
+    <div className="px-4 py-3">
+      <button onClick={() => setOpen(!open)} className="w-full flex items-start gap-3 text-left">
+        {open ? <ChevronDown size={14} className="mt-1 text-neutral-400" /> : <ChevronRight size={14} className="mt-1 text-neutral-400" />}
+        <span className={`text-xs px-2 py-0.5 rounded-full font-medium whitespace-nowrap mt-0.5 ${METHOD_COLORS[entry.method] || 'bg-neutral-100 text-neutral-600'}`}>
+          {entry.method}
+        </span>
+        <div className="flex-1 min-w-0">
+          <p className="text-sm text-neutral-700 font-mono truncate">{entry.path}</p>
+          <p className="text-xs text-neutral-400 flex items-center gap-2 mt-0.5">
+            <span className="flex items-center gap-1"><User size={10} />{entry.user || 'unknown'}{entry.role ? ` (${entry.role})` : ''}</span>
+            {entry.entityId && <span>{entry.entityType}: {entry.entityId}</span>}
+            {changes.length > 0 && <span>{changes.length} field{changes.length === 1 ? '' : 's'} changed</span>}
+          </p>
+        </div>
+        <span className={`text-xs font-mono ${failed ? 'text-red-500' : 'text-neutral-400'}`}>{entry.status}</span>
+        <span className="text-xs text-neutral-400 whitespace-nowrap flex-shrink-0" title={entry.timestamp}>
+          {timeAgo(entry.timestamp)}
+        </span>
+      </button>
+
+      {open && (
+        <div className="mt-3 ml-7 space-y-3">
+          {changes.length > 0 && (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-neutral-400">
+                  <th className="py-1 pr-3 font-medium">Field</th>
+                  <th className="py-1 pr-3 font-medium">Before</th>
+                  <th className="py-1 font-medium">After</th>
+                </tr>
+              </thead>
+              <tbody className="align-top">
+                {changes.map(([field, { before, after }]) => (
+                  <tr key={field} className="border-t border-neutral-100">
+                    <td className="py-1 pr-3 font-mono text-neutral-600">{field}</td>
+                    <td className="py-1 pr-3 font-mono text-red-600 break-all">{formatValue(before)}</td>
+                    <td className="py-1 font-mono text-green-700 break-all">{formatValue(after)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {entry.body && (
+            <pre className="text-xs bg-neutral-50 rounded p-2 overflow-x-auto text-neutral-600">{JSON.stringify(entry.body, null, 2)}</pre>
+          )}
+          {changes.length === 0 && !entry.body && (
+            <p className="text-xs text-neutral-400">No recorded changes</p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '—'
+  const text = typeof value === 'string' ? value : JSON.stringify(value)
+  return text.length > 300 ? `${text.slice(0, 300)}…` : text
+}
+
+function timeAgo(ts) {
+  const diff = Date.now() - new Date(ts).getTime()
+  const mins = Math.floor(diff / 60000)
+  if (mins < 1) return 'just now'
+  if (mins < 60) return `${mins}m ago`
+  const hours = Math.floor(mins / 60)
+  if (hours < 24) return `${hours}h ago`
+  const days = Math.floor(hours / 24)
+  return `${days}d ago`
+}
@@ -14,6 +14,7 @@ export default function CostPanel() {
 
   const budgetPercent = costs.daily?.budget ? (costs.daily.total / costs.daily.budget) * 100 : 0
   const budgetColor = budgetPercent >= 90 ? 'bg-red-500' : budgetPercent >= 70 ? 'bg-amber-500' : 'bg-green-500'
+  const pendingElevations = (costs.elevations || []).filter(e => e.status === 'pending')
 
   return (
     <div className="space-y-4">
@@ -92,30 +93,39 @@ export default function CostPanel() {
       {forecast && (
         <div className="bg-white rounded-lg border border-neutral-200 p-4">
           <h3 className="text-sm font-medium text-neutral-600 mb-2">Budget Forecast</h3>
-          <div className="grid grid-cols-2 gap-4 text-sm">
+          <div className="grid grid-cols-3 gap-4 text-sm">
             <div>
-              <span className="text-neutral-400">Daily avg</span>
-              <p className="font-medium">${forecast.dailyAverage?.toFixed(2) || '—'}</p>
+              <span className="text-neutral-400">Daily avg (7d)</span>
+              <p className="font-medium">${forecast.forecast?.avgDaily7Day?.toFixed(2) ?? '—'}</p>
+            </div>
+            <div>
+              <span className="text-neutral-400">Month to date</span>
+              <p className="font-medium">${forecast.current?.monthlySpend?.toFixed(2) ?? '—'}</p>
             </div>
             <div>
               <span className="text-neutral-400">Monthly projected</span>
-              <p className="font-medium">${forecast.monthlyProjected?.toFixed(2) || '—'}</p>
+              <p className={`font-medium ${forecast.forecast?.onTrack === false ? 'text-red-600' : ''}`}>
+                ${forecast.forecast?.projectedMonthly?.toFixed(2) ?? '—'}
+              </p>
             </div>
           </div>
+          {forecast.historyDays > 0 && (
+            <p className="text-xs text-neutral-400 mt-2">Based on {forecast.historyDays} day{forecast.historyDays === 1 ? '' : 's'} of history · trend {forecast.forecast.trend}</p>
+          )}
         </div>
       )}
 
       {/* Elevation Requests */}
-      {costs.elevations && costs.elevations.length > 0 && (
+      {pendingElevations.length > 0 && (
         <div className="bg-white rounded-lg border border-amber-200 p-4">
           <h3 className="text-sm font-medium text-amber-700 flex items-center gap-2 mb-2">
-            <AlertTriangle size={14} /> Elevation Requests
+            <AlertTriangle size={14} /> Pending Budget Elevations
           </h3>
           <div className="space-y-2">
-            {costs.elevations.map((elev, i) => (
-              <div key={i} className="text-sm text-neutral-600 py-1 border-b border-neutral-100 last:border-0">
-                <span className="font-medium">{elev.task || elev.reason}</span>
-                {elev.model && <span className="text-neutral-400 ml-2">({elev.model})</span>}
+            {pendingElevations.map(elev => (
+              <div key={elev.id} className="text-sm text-neutral-600 py-1 border-b border-neutral-100 last:border-0">
+                <span className="font-medium">+${elev.amount.toFixed(2)} {elev.period} · {elev.scope === 'total' ? 'all features' : elev.scope}</span>
+                <span className="text-neutral-400 ml-2">{elev.justification}</span>
               </div>
             ))}
           </div>
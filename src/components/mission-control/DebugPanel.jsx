@@ -1,14 +1,25 @@
 import { useState } from 'react'
 import useSWR, { mutate } from 'swr'
-import { Bug, AlertTriangle, CheckCircle, XCircle, Clock, Play, User, RefreshCw } from 'lucide-react'
+import { Bug, AlertTriangle, CheckCircle, XCircle, Clock, Play, User, RefreshCw, History, ChevronDown, ChevronRight, Loader, ShieldCheck } from 'lucide-react'
+import { fetcher, decideApproval, updateApprovalGate } from '../../lib/api'
 
-const fetcher = (url) => fetch(url).then(r => r.json())
+const RUN_STATUS_STYLES = {
+  ok: 'bg-green-100 text-green-700',
+  error: 'bg-red-100 text-red-700',
+  skipped: 'bg-neutral-100 text-neutral-500',
+}
 
 export default function DebugPanel() {
   const { data: approvalsData } = useSWR('/api/system/approvals', fetcher, { refreshInterval: 30000 })
   const { data: tasksData } = useSWR('/api/tasks', fetcher, { refreshInterval: 30000 })
 
   const pendingApprovals = (approvalsData?.approvals || []).filter(a => !a.decision)
+  const gates = approvalsData?.gates || []
+  const gateLabels = Object.fromEntries(gates.map(g => [g.action, g.label]))
+  const recentlyDecided = (approvalsData?.approvals || [])
+    .filter(a => a.action && a.decision)
+    .sort((a, b) => b.decidedAt.localeCompare(a.decidedAt))
+    .slice(0, 5)
   const tasks = tasksData?.tasks || []
 
   // Stuck tasks: active tasks with yellow or red alert level
@@ -34,12 +45,21 @@ export default function DebugPanel() {
         ) : (
           <div className="space-y-3">
             {pendingApprovals.map(approval => (
-              <ApprovalCard key={approval.id} approval={approval} />
+              <ApprovalCard key={approval.id} approval={approval} label={gateLabels[approval.action]} />
+            ))}
+          </div>
+        )}
+        {recentlyDecided.length > 0 && (
+          <div className="mt-3 bg-white rounded-lg border border-neutral-200 divide-y divide-neutral-100">
+            {recentlyDecided.map(approval => (
+              <DecidedApprovalRow key={approval.id} approval={approval} label={gateLabels[approval.action]} />
             ))}
           </div>
         )}
       </div>
 
+      {gates.length > 0 && <ApprovalGates gates={gates} />}
+
       {/* Stuck Tasks */}
       <div>
         <h3 className="text-lg font-serif font-semibold mb-3 flex items-center gap-2">
@@ -60,25 +80,201 @@ export default function DebugPanel() {
           </div>
         )}
       </div>
+
+      <CronRunHistory />
     </div>
   )
 }
 
-function ApprovalCard({ approval }) {
+function CronRunHistory() {
+  const { data: cronsData } = useSWR('/api/system/crons', fetcher, { refreshInterval: 30000 })
+  const [cronId, setCronId] = useState('')
+  const [status, setStatus] = useState('')
+
+  const crons = cronsData?.crons || []
+  const selected = cronId || crons[0]?.id || ''
+  const params = new URLSearchParams({ limit: 25 })
+  if (status) params.set('status', status)
+  const { data } = useSWR(selected ? `/api/system/crons/${selected}/runs?${params}` : null, fetcher, { refreshInterval: 15000 })
+  const runs = data?.runs || []
+
+  return (
+    <div>
+      <h3 className="text-lg font-serif font-semibold mb-3 flex items-center gap-2">
+        <History size={18} /> Cron Run History
+      </h3>
+      <div className="flex flex-wrap gap-2 mb-3">
+        <select
+          value={selected}
+          onChange={e => setCronId(e.target.value)}
+          className="px-3 py-1.5 text-sm border border-neutral-200 rounded-md bg-white"
+        >
+          {crons.map(c => <option key={c.id} value={c.id}>{c.id}{c.running ? ' (running)' : ''}</option>)}
+        </select>
+        <select
+          value={status}
+          onChange={e => setStatus(e.target.value)}
+          className="px-3 py-1.5 text-sm border border-neutral-200 rounded-md bg-white"
+        >
+          <option value="">All runs</option>
+          <option value="ok">ok</option>
+          <option value="error">error</option>
+          <option value="skipped">skipped</option>
+        </select>
+        {data?.running && (
+          <span className="flex items-center gap-1.5 text-xs text-blue-600">
+            <Loader size={12} className="animate-spin" />
+            Running since {new Date(data.running.startedAt).toLocaleTimeString()} ({data.running.trigger})
+          </span>
+        )}
+      </div>
+      <div className="bg-white rounded-lg border border-neutral-200">
+        {runs.length === 0 ? (
+          <div className="p-6 text-center text-neutral-400 text-sm">
+            {data ? 'No recorded runs' : 'Loading...'}
+          </div>
+        ) : (
+          <div className="divide-y divide-neutral-100">
+            {runs.map(run => <CronRunRow key={run.id} run={run} />)}
+          </div>
+        )}
+      </div>
+      {data?.total > runs.length && (
+        <p className="text-xs text-neutral-400 mt-2">Showing the latest {runs.length} of {data.total} runs</p>
+      )}
+    </div>
+  )
+}
+
+function CronRunRow({ run }) {
+  const [open, setOpen] = useState(false)
+  const expandable = !!(run.errorStack || run.error)
+
+  return (
+    <div className="px-4 py-2.5">
+      <button
+        onClick={() => expandable && setOpen(!open)}
+        className={`w-full flex items-center gap-3 text-left ${expandable ? '' : 'cursor-default'}`}
+      >
+        {expandable
+          ? (open ? <ChevronDown size={12} className="text-neutral-400" /> : <ChevronRight size={12} className="text-neutral-400" />)
+          : <span className="w-3" />}
+        <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${RUN_STATUS_STYLES[run.status] || RUN_STATUS_STYLES.skipped}`}>
+          {run.status}
+        </span>
+        <span className="flex-1 min-w-0 text-sm text-neutral-700 truncate">{run.error || run.result}</span>
+        <span className="text-xs text-neutral-400 whitespace-nowrap">{run.trigger}</span>
+        <span className="text-xs text-neutral-500 font-mono whitespace-nowrap w-16 text-right">{formatDuration(run.durationMs)}</span>
+        <span className="text-xs text-neutral-400 whitespace-nowrap" title={`${run.startedAt} → ${run.finishedAt}`}>
+          {new Date(run.startedAt).toLocaleString()}
+        </span>
+      </button>
+      {open && (
+        <pre className="mt-2 ml-6 text-xs bg-red-50 text-red-700 rounded p-2 overflow-x-auto whitespace-pre-wrap">
+          {run.errorStack || run.error}
+        </pre>
+      )}
+    </div>
+  )
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '—'
+  if (ms < 1000) return `${ms}ms`
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`
+}
+
+function ApprovalGates({ gates }) {
+  const [saving, setSaving] = useState(null)
+
+  const update = async (action, changes) => {
+    setSaving(action)
+    try {
+      await updateApprovalGate(action, changes)
+    } catch (e) {
+      console.error('Gate update failed:', e)
+    }
+    mutate('/api/system/approvals')
+    setSaving(null)
+  }
+
+  return (
+    <div>
+      <h3 className="text-lg font-serif font-semibold mb-3 flex items-center gap-2">
+        <ShieldCheck size={18} /> Approval Gates
+      </h3>
+      <div className="bg-white rounded-lg border border-neutral-200 divide-y divide-neutral-100">
+        {gates.map(gate => (
+          <div key={gate.action} className="flex flex-wrap items-center gap-3 px-4 py-2.5 text-sm">
+            <label className="flex items-center gap-2 flex-1 min-w-[200px]">
+              <input
+                type="checkbox"
+                checked={gate.enabled}
+                disabled={saving === gate.action || gate.required}
+                title={gate.required ? 'Always asks for approval' : undefined}
+                onChange={e => update(gate.action, { enabled: e.target.checked })}
+              />
+              <span className="text-neutral-800">{gate.label}</span>
+            </label>
+            <span className="flex items-center gap-1 text-xs text-neutral-500">
+              Timeout
+              <select
+                value={gate.timeoutMinutes}
+                disabled={saving === gate.action}
+                onChange={e => update(gate.action, { timeoutMinutes: Number(e.target.value) })}
+                className="px-1.5 py-0.5 border border-neutral-200 rounded bg-white"
+              >
+                {[...new Set([30, 60, 180, 240, 720, 1440, gate.timeoutMinutes])].sort((a, b) => a - b).map(m => (
+                  <option key={m} value={m}>{m < 60 ? `${m}m` : `${m / 60}h`}</option>
+                ))}
+              </select>
+              then
+              <select
+                value={gate.defaultAction}
+                disabled={saving === gate.action || gate.defaultActionFixed}
+                title={gate.defaultActionFixed ? 'This gate always defaults to deny' : undefined}
+                onChange={e => update(gate.action, { defaultAction: e.target.value })}
+                className="px-1.5 py-0.5 border border-neutral-200 rounded bg-white"
+              >
+                <option value="denied">deny</option>
+                <option value="approved">approve</option>
+              </select>
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function DecidedApprovalRow({ approval, label }) {
+  const approved = approval.decision === 'approved'
+  return (
+    <div className="flex items-center gap-3 px-4 py-2 text-xs">
+      {approved ? <CheckCircle size={12} className="text-green-500" /> : <XCircle size={12} className="text-red-500" />}
+      <span className="flex-1 min-w-0 truncate text-neutral-700">{label ? `${label}: ` : ''}{approval.description}</span>
+      <span className="text-neutral-400 whitespace-nowrap">
+        {approval.timedOut ? 'timed out' : approval.decidedBy}
+      </span>
+      <span className={`whitespace-nowrap ${approval.resumeError ? 'text-red-500' : 'text-neutral-400'}`} title={approval.resumeError || approval.resumeResult}>
+        {approval.resumeError ? 'resume failed' : approval.resumedAt ? approval.resumeResult : approved ? 'resuming…' : ''}
+      </span>
+    </div>
+  )
+}
+
+function ApprovalCard({ approval, label }) {
   const [deciding, setDeciding] = useState(false)
 
   const handleDecision = async (decision) => {
     setDeciding(true)
     try {
-      await fetch(`/api/system/approvals/${approval.id}/decide`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ decision })
-      })
-      mutate('/api/system/approvals')
+      await decideApproval(approval.id, decision)
     } catch (e) {
       console.error('Decision failed:', e)
     }
+    mutate('/api/system/approvals')
     setDeciding(false)
   }
 
@@ -86,6 +282,7 @@ function ApprovalCard({ approval }) {
     <div className="bg-white rounded-lg border border-amber-200 p-4">
       <div className="flex items-start justify-between gap-3">
         <div className="min-w-0 flex-1">
+          {label && <p className="text-xs font-medium text-amber-700 mb-0.5">{label}</p>}
           <h4 className="font-medium text-neutral-800">{approval.description || approval.taskId}</h4>
           {approval.estimatedCost && (
             <p className="text-sm text-neutral-500 mt-1">Estimated cost: ${approval.estimatedCost.toFixed(2)}</p>
@@ -93,6 +290,12 @@ function ApprovalCard({ approval }) {
           {approval.reason && (
             <p className="text-sm text-neutral-500 mt-1">{approval.reason}</p>
           )}
+          {approval.expiresAt && (
+            <p className="text-xs text-neutral-400 mt-1 flex items-center gap-1">
+              <Clock size={10} />
+              Defaults to {approval.defaultAction === 'approved' ? 'approve' : 'deny'} at {new Date(approval.expiresAt).toLocaleString()}
+            </p>
+          )}
         </div>
         <div className="flex gap-2 flex-shrink-0">
           <button
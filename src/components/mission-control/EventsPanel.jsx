@@ -1,7 +1,17 @@
-import useSWR from 'swr'
-import { Clock, CheckCircle, XCircle, RefreshCw } from 'lucide-react'
+import { useState, useEffect } from 'react'
+import useSWR, { mutate } from 'swr'
+import { Clock, CheckCircle, XCircle, RefreshCw, ChevronLeft, ChevronRight, Search, Pause, Play, Zap, Pencil } from 'lucide-react'
+import { fetcher, updateCron, runCron } from '../../lib/api'
+import { onSystemEvent } from '../../lib/useWebSocket'
 
-const fetcher = (url) => fetch(url).then(r => r.json())
+const PAGE_SIZE = 50
+
+const RANGES = [
+  { id: '1h', label: 'Last hour', ms: 3600000 },
+  { id: '24h', label: 'Last 24h', ms: 86400000 },
+  { id: '7d', label: 'Last 7 days', ms: 7 * 86400000 },
+  { id: 'all', label: 'All (30 days)', ms: null },
+]
 
 const TYPE_COLORS = {
   cron: 'bg-green-100 text-green-700',
@@ -10,14 +20,14 @@ const TYPE_COLORS = {
   debug: 'bg-purple-100 text-purple-700',
   backup: 'bg-teal-100 text-teal-700',
   pipeline: 'bg-amber-100 text-amber-700',
+  migration: 'bg-indigo-100 text-indigo-700',
+  auth: 'bg-rose-100 text-rose-700',
 }
 
 export default function EventsPanel() {
   const { data: cronsData } = useSWR('/api/system/crons', fetcher, { refreshInterval: 60000 })
-  const { data: eventsData } = useSWR('/api/system/events', fetcher, { refreshInterval: 15000 })
 
   const crons = cronsData?.crons || []
-  const events = eventsData?.events || []
 
   return (
     <div className="space-y-6">
@@ -26,66 +36,252 @@ export default function EventsPanel() {
         <h3 className="text-lg font-serif font-semibold mb-3">Scheduled Jobs</h3>
         <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
           {crons.map(cron => (
-            <div key={cron.id} className="bg-white rounded-lg border border-neutral-200 p-3">
-              <div className="flex items-center justify-between mb-1">
-                <h4 className="text-sm font-medium text-neutral-800 truncate">{cron.id}</h4>
-                <ResultBadge result={cron.lastResult} />
-              </div>
-              <p className="text-xs text-neutral-400 mb-2 truncate" title={cron.description}>
-                {cron.description}
-              </p>
-              <div className="flex items-center justify-between text-xs text-neutral-500">
-                <span className="font-mono">{cron.schedule}</span>
-                <span>{cron.runCount} runs</span>
-              </div>
-              {cron.lastRun && (
-                <div className="flex items-center gap-1 mt-1 text-xs text-neutral-400">
-                  <Clock size={10} />
-                  <span>{timeAgo(cron.lastRun)}</span>
-                </div>
-              )}
-              {!cron.lastRun && (
-                <div className="flex items-center gap-1 mt-1 text-xs text-neutral-300">
-                  <Clock size={10} />
-                  <span>Never run</span>
-                </div>
-              )}
-            </div>
+            <CronCard key={cron.id} cron={cron} />
           ))}
         </div>
       </div>
 
-      {/* Live Event Log */}
-      <div>
-        <h3 className="text-lg font-serif font-semibold mb-3">System Event Log</h3>
-        <div className="bg-white rounded-lg border border-neutral-200">
-          {events.length === 0 ? (
-            <div className="p-6 text-center text-neutral-400 text-sm">
-              No system events yet. Events appear when cron jobs run.
-            </div>
-          ) : (
-            <div className="divide-y divide-neutral-100 max-h-96 overflow-y-auto">
-              {events.map(event => (
-                <div key={event.id} className="px-4 py-3 flex items-start gap-3">
-                  <span className={`text-xs px-2 py-0.5 rounded-full font-medium whitespace-nowrap mt-0.5 ${TYPE_COLORS[event.type] || 'bg-neutral-100 text-neutral-600'}`}>
-                    {event.type}
-                  </span>
-                  <div className="flex-1 min-w-0">
-                    <p className="text-sm text-neutral-700">{event.message}</p>
-                  </div>
-                  <span className="text-xs text-neutral-400 whitespace-nowrap flex-shrink-0">
-                    {timeAgo(event.timestamp)}
-                  </span>
-                </div>
-              ))}
-            </div>
-          )}
+      <EventLog />
+    </div>
+  )
+}
+
+function CronCard({ cron }) {
+  const [busy, setBusy] = useState(false)
+  const [editing, setEditing] = useState(false)
+  const [schedule, setSchedule] = useState(cron.schedule)
+  const [error, setError] = useState('')
+
+  const act = async (fn) => {
+    setBusy(true)
+    setError('')
+    try {
+      await fn()
+      setEditing(false)
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setBusy(false)
+      mutate('/api/system/crons')
+    }
+  }
+
+  const overridden = cron.schedule !== cron.defaultSchedule
+
+  return (
+    <div className={`bg-white rounded-lg border p-3 ${cron.paused ? 'border-dashed border-neutral-300 opacity-75' : 'border-neutral-200'}`}>
+      <div className="flex items-center justify-between mb-1">
+        <h4 className="text-sm font-medium text-neutral-800 truncate">{cron.id}</h4>
+        {cron.running
+          ? <span className="text-xs px-1.5 py-0.5 rounded bg-blue-50 text-blue-600">running</span>
+          : cron.paused
+            ? <span className="text-xs px-1.5 py-0.5 rounded bg-neutral-100 text-neutral-500">paused</span>
+            : <ResultBadge result={cron.lastResult} />}
+      </div>
+      <p className="text-xs text-neutral-400 mb-2 truncate" title={cron.description}>
+        {cron.description}
+      </p>
+      {editing ? (
+        <form onSubmit={e => { e.preventDefault(); act(() => updateCron(cron.id, { schedule })) }} className="flex gap-1 mb-1">
+          <input
+            value={schedule}
+            onChange={e => setSchedule(e.target.value)}
+            className="flex-1 min-w-0 px-1.5 py-0.5 text-xs font-mono border border-neutral-300 rounded"
+            autoFocus
+          />
+          <button type="submit" disabled={busy} className="text-xs px-1.5 rounded bg-neutral-900 text-white">Save</button>
+          <button type="button" onClick={() => { setEditing(false); setSchedule(cron.schedule) }} className="text-xs px-1 text-neutral-400">✕</button>
+        </form>
+      ) : (
+        <div className="flex items-center justify-between text-xs text-neutral-500">
+          <span className="font-mono" title={overridden ? `Default: ${cron.defaultSchedule}` : undefined}>
+            {cron.schedule}{overridden && <span className="text-amber-600"> *</span>}
+          </span>
+          <span>{cron.runCount} runs</span>
         </div>
+      )}
+      <div className="flex items-center gap-1 mt-1 text-xs text-neutral-400">
+        <Clock size={10} />
+        <span>{cron.lastRun ? timeAgo(cron.lastRun) : 'Never run'}</span>
+        {cron.nextRun && <span className="ml-auto" title={cron.nextRun}>next {timeUntil(cron.nextRun)}</span>}
+      </div>
+      {error && <p className="text-xs text-red-500 mt-1">{error}</p>}
+      <div className="flex items-center gap-1 mt-2 pt-2 border-t border-neutral-100">
+        <CronButton
+          onClick={() => act(() => updateCron(cron.id, { paused: !cron.paused }))}
+          disabled={busy}
+          icon={cron.paused ? <Play size={12} /> : <Pause size={12} />}
+          label={cron.paused ? 'Resume' : 'Pause'}
+        />
+        {cron.runnable && (
+          <CronButton onClick={() => act(() => runCron(cron.id))} disabled={busy} icon={<Zap size={12} />} label={busy ? 'Running...' : 'Run now'} />
+        )}
+        <CronButton onClick={() => setEditing(true)} disabled={busy || editing} icon={<Pencil size={12} />} label="Schedule" />
+        <select
+          value={cron.catchUp}
+          onChange={e => act(() => updateCron(cron.id, { catchUp: e.target.value }))}
+          disabled={busy}
+          title="Missed runs after downtime"
+          className="text-xs text-neutral-500 bg-transparent border-none focus:ring-0 p-0 pr-4"
+        >
+          <option value="skip">catch-up: skip</option>
+          <option value="once">catch-up: once</option>
+          <option value="all">catch-up: all</option>
+        </select>
+        {overridden && (
+          <button
+            onClick={() => act(() => updateCron(cron.id, { schedule: null }))}
+            disabled={busy}
+            className="ml-auto text-xs text-neutral-400 hover:text-neutral-600"
+          >
+            Reset
+          </button>
+        )}
       </div>
     </div>
   )
 }
 
+function CronButton({ onClick, disabled, icon, label }) {
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      className="flex items-center gap-1 px-1.5 py-0.5 text-xs text-neutral-500 hover:text-neutral-800 hover:bg-neutral-100 rounded disabled:opacity-40"
+    >
+      {icon}
+      <span>{label}</span>
+    </button>
+  )
+}
+
+function EventLog() {
+  const [type, setType] = useState('')
+  const [search, setSearch] = useState('')
+  const [query, setQuery] = useState('')
+  const [range, setRange] = useState({ id: '24h', since: rangeStart('24h') })
+  const [offset, setOffset] = useState(0)
+  const [live, setLive] = useState([])
+
+  const params = new URLSearchParams({ limit: PAGE_SIZE, offset })
+  if (type) params.set('type', type)
+  if (query) params.set('q', query)
+  if (range.since) params.set('since', range.since)
+  const { data } = useSWR(`/api/system/events?${params}`, fetcher, { refreshInterval: 60000 })
+
+  // New events stream in over the WebSocket while viewing the first page
+  useEffect(() => {
+    setLive([])
+    if (offset > 0) return
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean)
+    return onSystemEvent(event => {
+      if (type && event.type !== type) return
+      const haystack = `${event.message} ${JSON.stringify(event.metadata || {})}`.toLowerCase()
+      if (!terms.every(term => haystack.includes(term))) return
+      setLive(prev => prev.some(e => e.id === event.id) ? prev : [event, ...prev])
+    })
+  }, [type, query, range, offset])
+
+  const loaded = data?.events || []
+  const loadedIds = new Set(loaded.map(e => e.id))
+  const events = [...live.filter(e => !loadedIds.has(e.id)), ...loaded]
+  // total is null when the server stopped reading before the oldest day
+  const total = data?.total ?? null
+  const hasMore = Boolean(data?.hasMore)
+
+  const changeFilter = (setter) => (value) => {
+    setter(value)
+    setOffset(0)
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="text-lg font-serif font-semibold">System Event Log</h3>
+        <div className="flex flex-wrap gap-2">
+          <form
+            onSubmit={e => { e.preventDefault(); changeFilter(setQuery)(search.trim()) }}
+            className="flex items-center gap-1 px-2 border border-neutral-200 rounded-md bg-white"
+          >
+            <Search size={12} className="text-neutral-400" />
+            <input
+              value={search}
+              onChange={e => setSearch(e.target.value)}
+              onBlur={() => search.trim() !== query && changeFilter(setQuery)(search.trim())}
+              placeholder="Search events"
+              className="py-1.5 text-sm outline-none"
+            />
+          </form>
+          <select
+            value={type}
+            onChange={e => changeFilter(setType)(e.target.value)}
+            className="px-3 py-1.5 text-sm border border-neutral-200 rounded-md bg-white"
+          >
+            <option value="">All types</option>
+            {(data?.types || []).map(t => <option key={t} value={t}>{t}</option>)}
+          </select>
+          <select
+            value={range.id}
+            onChange={e => changeFilter(setRange)({ id: e.target.value, since: rangeStart(e.target.value) })}
+            className="px-3 py-1.5 text-sm border border-neutral-200 rounded-md bg-white"
+          >
+            {RANGES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+          </select>
+        </div>
+      </div>
+      <div className="bg-white rounded-lg border border-neutral-200">
+        {events.length === 0 ? (
+          <div className="p-6 text-center text-neutral-400 text-sm">
+            {!data ? 'Loading...' : type || query ? 'No events match these filters.' : 'No system events yet. Events appear when cron jobs run.'}
+          </div>
+        ) : (
+          <div className="divide-y divide-neutral-100 max-h-[32rem] overflow-y-auto">
+            {events.map(event => (
+              <div key={event.id} className="px-4 py-3 flex items-start gap-3">
+                <span className={`text-xs px-2 py-0.5 rounded-full font-medium whitespace-nowrap mt-0.5 ${TYPE_COLORS[event.type] || 'bg-neutral-100 text-neutral-600'}`}>
+                  {event.type}
+                </span>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-neutral-700">{event.message}</p>
+                </div>
+                <span className="text-xs text-neutral-400 whitespace-nowrap flex-shrink-0" title={event.timestamp}>
+                  {timeAgo(event.timestamp)}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+      {(offset > 0 || hasMore) && loaded.length > 0 && (
+        <div className="flex items-center justify-between text-sm text-neutral-500 mt-2">
+          <span>{offset + 1}–{offset + loaded.length}{total !== null ? ` of ${total}` : ''}</span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+              disabled={offset === 0}
+              className="p-1.5 rounded border border-neutral-200 bg-white disabled:opacity-40"
+            >
+              <ChevronLeft size={14} />
+            </button>
+            <button
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+              disabled={!hasMore}
+              className="p-1.5 rounded border border-neutral-200 bg-white disabled:opacity-40"
+            >
+              <ChevronRight size={14} />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function rangeStart(id) {
+  const ms = RANGES.find(r => r.id === id)?.ms
+  return ms ? new Date(Date.now() - ms).toISOString() : null
+}
+
 function ResultBadge({ result }) {
   if (!result) return <span className="text-xs text-neutral-300">-</span>
   if (result === 'error') return <XCircle size={14} className="text-red-500" />
@@ -93,6 +289,15 @@ function ResultBadge({ result }) {
   return <CheckCircle size={14} className="text-green-500" />
 }
 
+function timeUntil(ts) {
+  const mins = Math.round((new Date(ts).getTime() - Date.now()) / 60000)
+  if (mins < 1) return 'now'
+  if (mins < 60) return `in ${mins}m`
+  const hours = Math.round(mins / 60)
+  if (hours < 24) return `in ${hours}h`
+  return `in ${Math.round(hours / 24)}d`
+}
+
 function timeAgo(ts) {
   const diff = Date.now() - new Date(ts).getTime()
   const mins = Math.floor(diff / 60000)
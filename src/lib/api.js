@@ -66,13 +66,13 @@ async function apiFetch(endpoint, options = {}) {
 }
 
 /**
- * Login with password — stores token on success
+ * Login with username + password (or the shared password alone) — stores token on success
  */
-export async function login(password) {
+export async function login(password, username) {
   const res = await fetch(`${API_BASE}/auth/login`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ password })
+    body: JSON.stringify(username ? { username, password } : { password })
   })
   const data = await res.json()
   if (!res.ok) throw new Error(data.error || 'Login failed')
@@ -81,13 +81,13 @@ export async function login(password) {
 }
 
 /**
- * Setup password (first-time only)
+ * Create the first admin account (first-time only)
  */
-export async function setupPassword(password) {
+export async function setupPassword(password, username = 'admin') {
   const res = await fetch(`${API_BASE}/auth/setup`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ password })
+    body: JSON.stringify({ username, password })
   })
   const data = await res.json()
   if (!res.ok) throw new Error(data.error || 'Setup failed')
@@ -102,6 +102,23 @@ export async function getAuthStatus() {
   return res.json()
 }
 
+/**
+ * Get the signed-in user ({ authEnabled, user: { username, role, ... } })
+ */
+export async function getCurrentUser() {
+  return apiFetch('/auth/me')
+}
+
+/**
+ * Change the signed-in user's password
+ */
+export async function changePassword(currentPassword, newPassword) {
+  return apiFetch('/auth/change-password', {
+    method: 'POST',
+    body: JSON.stringify({ currentPassword, newPassword })
+  })
+}
+
 /**
  * Logout — clear stored token
  */
@@ -179,6 +196,10 @@ export async function getIdeas() {
   return apiFetch('/ideas')
 }
 
+export async function getIdea(id) {
+  return apiFetch(`/ideas/${encodeURIComponent(id)}`)
+}
+
 // ============================================================================
 // DRAFTS
 // ============================================================================
@@ -212,10 +233,46 @@ export async function getChapter(bookId, chapterNum) {
 // SEARCH
 // ============================================================================
 
-export async function search(query) {
+/**
+ * Full-text search. Filters: { types, after, before, limit, offset }.
+ * Returns { total, counts, results } — results carry a snippet and highlight ranges.
+ */
+export async function search(query, filters = {}) {
   return apiFetch('/search', {
     method: 'POST',
-    body: JSON.stringify({ query })
+    body: JSON.stringify({ query, ...filters })
+  })
+}
+
+// ============================================================================
+// CALENDAR
+// ============================================================================
+
+/**
+ * Whether the current user has an ICS feed token: { enabled, createdAt, lastUsedAt }
+ */
+export async function getCalendarFeed() {
+  return apiFetch('/calendar/feed')
+}
+
+/**
+ * Issue (or rotate) the current user's ICS feed token — returns { token, url } once
+ */
+export async function createCalendarFeed() {
+  return apiFetch('/calendar/feed', { method: 'POST' })
+}
+
+export async function revokeCalendarFeed() {
+  return apiFetch('/calendar/feed', { method: 'DELETE' })
+}
+
+/**
+ * Import an .ics file's events as draft queue items: { platform, calendar?, dryRun? }
+ */
+export async function importCalendar(ics, options) {
+  return apiFetch('/calendar/import', {
+    method: 'POST',
+    body: JSON.stringify({ ics, ...options })
   })
 }
 
@@ -362,3 +419,122 @@ export async function deleteFutureNeed(id) {
     method: 'DELETE'
   })
 }
+
+// ============================================================================
+// SYSTEM (Mission Control)
+// ============================================================================
+
+/**
+ * Pause/resume or reschedule a cron job: { paused?, schedule? } (schedule null resets to default)
+ */
+export async function updateCron(id, changes) {
+  return apiFetch(`/system/crons/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes)
+  })
+}
+
+/**
+ * Run a cron job immediately
+ */
+export async function runCron(id) {
+  return apiFetch(`/system/crons/${id}/run`, {
+    method: 'POST'
+  })
+}
+
+/**
+ * Approve or deny a pending approval request
+ */
+export async function decideApproval(id, decision) {
+  return apiFetch(`/system/approvals/${id}/decide`, {
+    method: 'POST',
+    body: JSON.stringify({ decision })
+  })
+}
+
+/**
+ * Configure an approval gate: { enabled?, timeoutMinutes?, defaultAction? }
+ */
+export async function updateApprovalGate(action, changes) {
+  return apiFetch(`/system/approvals/gates/${action}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes)
+  })
+}
+
+// ============================================================================
+// COSTS
+// ============================================================================
+
+/**
+ * Request extra LLM budget: { scope: 'total' | feature, period: 'daily' | 'monthly', amount, justification }
+ */
+export async function requestBudgetElevation(request) {
+  return apiFetch('/costs/elevations', {
+    method: 'POST',
+    body: JSON.stringify(request)
+  })
+}
+
+/**
+ * Download a cost CSV export — 'ledger' (one row per charged call) or 'history'
+ * (one row per day) — with the stored auth token. params: { from, to, feature }
+ */
+export async function downloadCostCsv(kind, params = {}) {
+  const query = new URLSearchParams(params).toString()
+  const response = await fetch(`${API_BASE}/costs/${kind}.csv${query ? `?${query}` : ''}`, { headers: getAuthHeaders() })
+  if (response.status === 401) {
+    handleUnauthorized()
+    throw new Error('Unauthorized')
+  }
+  if (!response.ok) {
+    throw new Error(`API Error: ${response.status} ${response.statusText}`)
+  }
+
+  const url = URL.createObjectURL(await response.blob())
+  const link = document.createElement('a')
+  link.href = url
+  link.download = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `cost-${kind}.csv`
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// ============================================================================
+// LLM ROUTING
+// ============================================================================
+
+/**
+ * Update LLM routing (admin): { default: { provider, model? }, features: { [feature]: { provider, model? } | null } }
+ */
+export async function updateLlmRouting(changes) {
+  return apiFetch('/llm/routing', {
+    method: 'PUT',
+    body: JSON.stringify(changes)
+  })
+}
+
+// ============================================================================
+// PROMPT TEMPLATES
+// ============================================================================
+
+/**
+ * Save a new version of a prompt template: { template, note?, activate? }
+ */
+export async function savePromptVersion(id, body) {
+  return apiFetch(`/prompts/${encodeURIComponent(id)}/versions`, {
+    method: 'POST',
+    body: JSON.stringify(body)
+  })
+}
+
+/**
+ * Switch a template's active version or start/stop an A/B experiment:
+ * { active?, experiment?: { a, b, split? } | null }
+ */
+export async function updatePrompt(id, changes) {
+  return apiFetch(`/prompts/${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes)
+  })
+}
@@ -14,6 +14,20 @@ const CHANNEL_KEYS = {
   ideas: ['/ideas', '/api/ideas/stats', '/api/repost-candidates', '/api/future-needs'],
   system: ['/api/system/events', '/api/system/crons', '/api/system/approvals'],
   podcast: ['/api/podcast/overview', '/api/podcast/history', '/api/podcast/quality-trends'],
+  audit: (key) => typeof key === 'string' && key.startsWith('/api/audit'),
+  prompts: (key) => typeof key === 'string' && key.startsWith('/api/prompts'),
+}
+
+// Listeners for system events streamed over the socket ({ type: 'event' } messages)
+const systemEventListeners = new Set()
+
+/**
+ * Subscribe to live system events. Returns an unsubscribe function.
+ * Every open socket delivers each event, so listeners should dedupe by event.id.
+ */
+export function onSystemEvent(listener) {
+  systemEventListeners.add(listener)
+  return () => systemEventListeners.delete(listener)
 }
 
 /**
@@ -63,6 +77,8 @@ export function useWebSocket() {
         const msg = JSON.parse(event.data)
         if (msg.type === 'invalidate' && msg.channel) {
           invalidateChannel(msg.channel)
+        } else if (msg.type === 'event' && msg.event) {
+          systemEventListeners.forEach(listener => listener(msg.event))
         }
       } catch {
         // ignore malformed messages
@@ -0,0 +1,328 @@
+/**
+ * Server behaviour tests: store write serialization, the publish lease, store
+ * migrations, route roles and approval refusals. Each suite starts the CMS in its
+ * own throwaway workspace (like scripts/check-offline.js) with LLM_PROVIDER=fake
+ * and every publisher mocked, and talks to it over HTTP.
+ *
+ * Run: npm test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const CMS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const STARTUP_TIMEOUT_MS = 90000;
+const REQUEST_TIMEOUT_MS = 30000;
+const PASSWORD = 'correct-horse-battery';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * A workspace whose cms/ links to every entry of this directory except .env.
+ * `files` maps workspace-relative paths to JSON written before the server starts.
+ */
+function createWorkspace(files = {}) {
+  const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'cms-test-'));
+  const cms = path.join(workspace, 'cms');
+  fs.mkdirSync(cms);
+  for (const name of fs.readdirSync(CMS_DIR)) {
+    if (name === '.env') continue;
+    fs.symlinkSync(path.join(CMS_DIR, name), path.join(cms, name));
+  }
+  for (const [file, data] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(workspace, file)), { recursive: true });
+    fs.writeFileSync(path.join(workspace, file), JSON.stringify(data, null, 2));
+  }
+  return workspace;
+}
+
+/**
+ * Start a server in a fresh workspace. Resolves to { workspace, request, readJson, stop }.
+ */
+async function startCms(files) {
+  const workspace = createWorkspace(files);
+  const port = await freePort();
+  const baseUrl = `http://localhost:${port}`;
+  const log = fs.openSync(path.join(workspace, 'server.log'), 'w');
+  const server = spawn(process.execPath, ['--preserve-symlinks', '--preserve-symlinks-main', path.join(workspace, 'cms', 'server.js')], {
+    cwd: path.join(workspace, 'cms'),
+    env: {
+      PATH: process.env.PATH,
+      HOME: process.env.HOME,
+      PORT: String(port),
+      JWT_SECRET: crypto.randomBytes(32).toString('hex'),
+      LLM_PROVIDER: 'fake',
+      CMS_MOCK_PUBLISHERS: '*'
+    },
+    stdio: ['ignore', log, log]
+  });
+
+  async function request(method, urlPath, { body, token } = {}) {
+    const headers = {};
+    if (body) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    return { status: res.status, data: await res.json().catch(() => null) };
+  }
+
+  function stop() {
+    if (server.exitCode !== null) return Promise.resolve();
+    return new Promise(resolve => {
+      const force = setTimeout(() => server.kill('SIGKILL'), 5000);
+      server.once('exit', () => {
+        clearTimeout(force);
+        fs.rmSync(workspace, { recursive: true, force: true });
+        resolve();
+      });
+      server.kill('SIGTERM');
+    });
+  }
+
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  for (;;) {
+    if (server.exitCode !== null) throw new Error(`server exited with code ${server.exitCode} (log: ${path.join(workspace, 'server.log')})`);
+    try {
+      if ((await request('GET', '/api/health')).status === 200) break;
+    } catch {
+      // not listening yet
+    }
+    if (Date.now() > deadline) {
+      await stop();
+      throw new Error(`server did not answer on ${baseUrl} within ${STARTUP_TIMEOUT_MS / 1000}s`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+
+  return {
+    workspace,
+    request,
+    readJson: file => JSON.parse(fs.readFileSync(path.join(workspace, file), 'utf8')),
+    stop
+  };
+}
+
+/**
+ * Create the first admin through /api/auth/setup, then the given accounts.
+ * Returns a token per username, including the admin's.
+ */
+async function createAccounts(cms, accounts = []) {
+  const setup = await cms.request('POST', '/api/auth/setup', { body: { username: 'admin1', password: PASSWORD } });
+  assert.equal(setup.status, 200, setup.data?.error);
+  const tokens = { admin1: setup.data.token };
+  for (const { username, role } of accounts) {
+    const created = await cms.request('POST', '/api/users', { token: tokens.admin1, body: { username, role, password: PASSWORD } });
+    assert.equal(created.status, 201, created.data?.error);
+    const login = await cms.request('POST', '/api/auth/login', { body: { username, password: PASSWORD } });
+    assert.equal(login.status, 200, login.data?.error);
+    tokens[username] = login.data.token;
+  }
+  return tokens;
+}
+
+describe('store writes', () => {
+  let cms;
+  before(async () => { cms = await startCms(); });
+  after(() => cms?.stop());
+
+  it('keeps every task created by concurrent requests', async () => {
+    const created = await Promise.all(Array.from({ length: 12 }, (_, i) => cms.request('POST', '/api/tasks', {
+      body: { title: `Concurrent task ${i}`, description: 'Created in parallel', assigneeIds: ['aristotle'] }
+    })));
+    for (const { status, data } of created) assert.ok(status < 300, data?.error);
+
+    const { data: tasks } = await cms.request('GET', '/api/tasks');
+    const ours = tasks.filter(t => t.title.startsWith('Concurrent task '));
+    assert.equal(ours.length, 12);
+    assert.equal(new Set(ours.map(t => t.id)).size, 12, 'task ids are unique');
+  });
+});
+
+describe('publish lease', () => {
+  const hour = 60 * 60 * 1000;
+  let cms;
+  before(async () => {
+    cms = await startCms({
+      'content/queue/posting-queue.json': {
+        schemaVersion: 4,
+        queue: [
+          { id: 'post-leased', platform: 'bluesky', status: 'ready', content: 'Being posted elsewhere', publishLease: { until: new Date(Date.now() + hour).toISOString(), by: 'scheduler' } },
+          { id: 'post-stale-lease', platform: 'bluesky', status: 'ready', content: 'Left behind by a crash', publishLease: { until: new Date(Date.now() - hour).toISOString(), by: 'scheduler' } },
+          { id: 'post-raced', platform: 'mastodon', status: 'ready', content: 'Only once, please.' }
+        ],
+        posted: [],
+        settings: { postingModes: { bluesky: 'auto', mastodon: 'auto' } }
+      }
+    });
+  });
+  after(() => cms?.stop());
+
+  it('refuses to publish an item another publish holds the lease on', async () => {
+    const { status, data } = await cms.request('POST', '/api/posting-queue/post-leased/publish');
+    assert.equal(status, 409);
+    assert.match(data.error, /already being published \(scheduler\)/);
+    assert.ok(cms.readJson('content/queue/posting-queue.json').queue.some(i => i.id === 'post-leased'));
+  });
+
+  it('takes over an expired lease', async () => {
+    const { status, data } = await cms.request('POST', '/api/posting-queue/post-stale-lease/publish');
+    assert.equal(status, 200, data?.error);
+    const posted = cms.readJson('content/queue/posting-queue.json').posted.find(i => i.id === 'post-stale-lease');
+    assert.ok(posted);
+    assert.equal(posted.publishLease, undefined);
+  });
+
+  it('publishes a queue item once when several publishes race', async () => {
+    const results = await Promise.all(Array.from({ length: 4 }, () => cms.request('POST', '/api/posting-queue/post-raced/publish')));
+    const statuses = results.map(r => r.status);
+    assert.equal(statuses.filter(s => s === 200).length, 1, `statuses: ${statuses}`);
+    // The losers either hit the lease or find the item already posted
+    for (const status of statuses.filter(s => s !== 200)) assert.ok([404, 409, 429].includes(status), `statuses: ${statuses}`);
+
+    const queue = cms.readJson('content/queue/posting-queue.json');
+    assert.equal(queue.queue.filter(i => i.id === 'post-raced').length, 0);
+    assert.equal(queue.posted.filter(i => i.id === 'post-raced').length, 1);
+  });
+});
+
+describe('store migrations', () => {
+  let cms;
+  before(async () => {
+    cms = await startCms({
+      'content/queue/posting-queue.json': {
+        queue: [{ id: 'post-legacy', platform: 'twitter', status: 'ready', content: 'Old thread', parts: ['first', 'second'] }],
+        settings: { postingModes: { twitter: 'auto', bluesky: 'sometimes' } }
+      },
+      'mission-control/database.json': {
+        tasks: [{ id: 'task-001', title: 'Legacy task', status: 'pending', assigneeIds: 'aristotle' }],
+        notifications: [{ id: 'n-1', type: 'mention', read: 1, createdAt: '2026-01-05T10:00:00.000Z' }]
+      }
+    });
+  });
+  after(() => cms?.stop());
+
+  it('upgrades posting-queue.json to the latest version at startup', () => {
+    const queue = cms.readJson('content/queue/posting-queue.json');
+    assert.equal(queue.schemaVersion, 4);
+    assert.deepEqual(queue.posted, []);
+    assert.equal(queue.settings.postingModes.twitter, 'auto', 'a valid mode is kept');
+    assert.equal(queue.settings.postingModes.bluesky, 'manual', 'an invalid mode is reset');
+    assert.equal(queue.settings.postingModes.mastodon, 'manual', 'v4 adds Mastodon');
+    assert.deepEqual(queue.queue[0].parts.map(p => p.content), ['first', 'second']);
+  });
+
+  it('upgrades database.json and keeps a pre-migration backup', () => {
+    const db = cms.readJson('mission-control/database.json');
+    assert.equal(db.schemaVersion, 2);
+    assert.deepEqual(db.tasks[0].assigneeIds, ['aristotle']);
+    assert.equal(db.notifications[0].read, true);
+    for (const key of ['agents', 'activities', 'messages']) assert.ok(Array.isArray(db[key]), key);
+
+    const backups = fs.readdirSync(path.join(cms.workspace, 'mission-control', 'backups'));
+    assert.ok(backups.some(name => name.startsWith('posting-queue-pre-v4-')), backups.join(', '));
+    assert.ok(backups.some(name => name.startsWith('database-pre-v2-')), backups.join(', '));
+  });
+});
+
+describe('route roles', () => {
+  let cms;
+  let tokens;
+  before(async () => {
+    cms = await startCms();
+    tokens = await createAccounts(cms, [{ username: 'reader', role: 'read-only' }, { username: 'writer', role: 'editor' }]);
+  });
+  after(() => cms?.stop());
+
+  it('requires a token once an account exists', async () => {
+    assert.equal((await cms.request('GET', '/api/tasks')).status, 401);
+    assert.equal((await cms.request('GET', '/api/tasks', { token: 'not-a-jwt' })).status, 401);
+  });
+
+  it('lets read-only users read but not write', async () => {
+    assert.equal((await cms.request('GET', '/api/tasks', { token: tokens.reader })).status, 200);
+    const write = await cms.request('POST', '/api/tasks', {
+      token: tokens.reader,
+      body: { title: 'Not allowed', description: 'Read-only', assigneeIds: ['aristotle'] }
+    });
+    assert.equal(write.status, 403);
+  });
+
+  it('keeps admin routes from editors', async () => {
+    assert.equal((await cms.request('GET', '/api/users', { token: tokens.writer })).status, 403);
+    assert.equal((await cms.request('PATCH', '/api/settings/posting-modes', { token: tokens.writer, body: { bluesky: 'auto' } })).status, 403);
+    assert.equal((await cms.request('GET', '/api/users', { token: tokens.admin1 })).status, 200);
+  });
+
+  it('refuses the token of a disabled account', async () => {
+    const { data } = await cms.request('GET', '/api/users', { token: tokens.admin1 });
+    const reader = data.users.find(u => u.username === 'reader');
+    const disabled = await cms.request('PATCH', `/api/users/${reader.id}`, { token: tokens.admin1, body: { disabled: true } });
+    assert.equal(disabled.status, 200, disabled.data?.error);
+    assert.equal((await cms.request('GET', '/api/tasks', { token: tokens.reader })).status, 401);
+  });
+});
+
+describe('approval refusals', () => {
+  let cms;
+  let tokens;
+  let approvalId;
+  before(async () => {
+    cms = await startCms();
+    tokens = await createAccounts(cms, [{ username: 'admin2', role: 'admin' }, { username: 'checker', role: 'reviewer' }]);
+    const requested = await cms.request('POST', '/api/costs/elevations', {
+      token: tokens.admin1,
+      body: { scope: 'total', period: 'daily', amount: 5, justification: 'Launch day' }
+    });
+    assert.equal(requested.status, 201, requested.data?.error);
+    approvalId = requested.data.elevation.approvalId;
+  });
+  after(() => cms?.stop());
+
+  const decide = (token, decision = 'approved') =>
+    cms.request('POST', `/api/system/approvals/${approvalId}/decide`, { token, body: { decision } });
+
+  it('refuses a budget elevation decided by a reviewer', async () => {
+    const { status, data } = await decide(tokens.checker);
+    assert.equal(status, 403);
+    assert.match(data.error, /admin role/);
+  });
+
+  it('refuses a budget elevation decided by its requester', async () => {
+    const { status, data } = await decide(tokens.admin1);
+    assert.equal(status, 403);
+    assert.match(data.error, /person who requested/);
+  });
+
+  it('accepts another admin, once', async () => {
+    const approved = await decide(tokens.admin2);
+    assert.equal(approved.status, 200, approved.data?.error);
+    assert.equal(approved.data.approval.decidedBy, 'admin2');
+    assert.equal((await decide(tokens.admin2, 'denied')).status, 409);
+  });
+
+  it('keeps the budget elevation gate on and defaulting to deny', async () => {
+    const gate = `/api/system/approvals/gates/budget-elevation`;
+    assert.equal((await cms.request('PATCH', gate, { token: tokens.admin1, body: { defaultAction: 'approved' } })).status, 400);
+    assert.equal((await cms.request('PATCH', gate, { token: tokens.admin1, body: { enabled: false } })).status, 400);
+  });
+});